@@ -6,6 +6,16 @@
     "storage.js",
     "gamepad.js",
     "GameManager.js",
+    "StateManager.js",
+    "CacheManager.js",
+    "SyncManager.js",
+    "SaveHistory.js",
+    "SaveConverter.js",
+    "RomHasher.js",
+    "RomPatcher.js",
+    "BiosManager.js",
+    "ArcadeSets.js",
+    "ChunkedDownloader.js",
     "socket.io.min.js",
     "compression.js",
   ];
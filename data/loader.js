@@ -28,6 +28,16 @@
     "storage.js",
     "gamepad.js",
     "GameManager.js",
+    "StateManager.js",
+    "CacheManager.js",
+    "SyncManager.js",
+    "SaveHistory.js",
+    "SaveConverter.js",
+    "RomHasher.js",
+    "RomPatcher.js",
+    "BiosManager.js",
+    "ArcadeSets.js",
+    "ChunkedDownloader.js",
     "socket.io.min.js",
     "compression.js",
   ];
@@ -39,6 +49,8 @@
       ? window.EJS_pathtodata
       : folderPath(new URL(document.currentScript.src).pathname);
   if (!scriptPath.endsWith("/")) scriptPath += "/";
+  // Everything loaded here (and this loader), precached when EJS_serviceWorker is set
+  const loadedFiles = document.currentScript ? [document.currentScript.src] : [];
   //console.log(scriptPath);
   function loadScript(file) {
     return new Promise(function (resolve) {
@@ -59,6 +71,7 @@
       if (file.includes("netplay")) {
       }
       script.onload = () => {
+        loadedFiles.push(script.src);
         if (file.includes("netplay")) {
           // Verify critical globals after loading key files
         }
@@ -99,7 +112,10 @@
           return scriptPath + file;
         }
       })();
-      css.onload = resolve;
+      css.onload = () => {
+        loadedFiles.push(css.href);
+        resolve();
+      };
       css.onerror = () => {
         filesmissing(file).then((e) => resolve());
       };
@@ -162,10 +178,27 @@
   config.filePaths = window.EJS_paths;
   config.loadState = window.EJS_loadStateURL;
   config.cacheLimit = window.EJS_CacheLimit;
+  config.cacheBudget = window.EJS_CacheBudget;
+  config.persistentStorage = window.EJS_persistentStorage;
+  config.syncProvider = window.EJS_syncProvider;
+  config.syncUrl = window.EJS_syncUrl;
+  config.syncHeaders = window.EJS_syncHeaders;
+  config.syncCredentials = window.EJS_syncCredentials;
+  config.syncConflict = window.EJS_syncConflict;
+  config.saveHistorySize = window.EJS_saveHistorySize;
+  config.resume = window.EJS_resume;
+  config.datUrl = window.EJS_datUrl;
+  config.downloadChunkSize = window.EJS_downloadChunkSize;
+  config.fileHashes = window.EJS_fileHashes;
+  config.cacheMaxAge = window.EJS_cacheMaxAge;
+  config.serviceWorker = window.EJS_serviceWorker;
+  config.serviceWorkerScope = window.EJS_serviceWorkerScope;
   config.cheats = window.EJS_cheats;
   config.defaultOptions = window.EJS_defaultOptions;
   config.gamePatchUrl = window.EJS_gamePatchUrl;
   config.gameParentUrl = window.EJS_gameParentUrl;
+  config.romSetUrl = window.EJS_romSetUrl;
+  config.romSetManifest = window.EJS_romSetManifest;
   config.netplayUrl = window.EJS_netplayServer;
   config.netplayICEServers = window.EJS_netplayICEServers;
   config.gameId = window.EJS_gameID;
@@ -252,6 +285,7 @@
             if (!languageJson.ok)
               throw new Error(`Missing language file: ${languageJson.status}`);
             langJson = JSON.parse(await languageJson.text());
+            loadedFiles.push(languagePath);
             if (fallbackPath) {
               let fallbackJson = await fetch(fallbackPath);
               missingLang = !fallbackJson.ok;
@@ -263,6 +297,7 @@
                 ...JSON.parse(await fallbackJson.text()),
                 ...langJson,
               };
+              loadedFiles.push(fallbackPath);
             }
           } catch (e) {
             config.language = language.split(/[-_]/)[0];
@@ -274,10 +309,12 @@
             );
             if (!missingLang) {
               langJson = JSON.parse(await (await fetch(fallbackPath)).text());
+              loadedFiles.push(fallbackPath);
             }
           }
         } else {
           langJson = JSON.parse(await (await fetch(languagePath)).text());
+          loadedFiles.push(languagePath);
         }
         config.langJson = langJson;
       }
@@ -289,6 +326,9 @@
   }
 
   window.EJS_emulator = new EmulatorJS(EJS_player, config);
+  if (config.serviceWorker) {
+    window.EJS_emulator.registerServiceWorker(loadedFiles);
+  }
   window.EJS_adBlocked = (url, del) => window.EJS_emulator.adBlocked(url, del);
   if (typeof window.EJS_ready === "function") {
     window.EJS_emulator.on("ready", window.EJS_ready);
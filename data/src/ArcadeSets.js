@@ -0,0 +1,178 @@
+/**
+ * Fetches the other ROM sets an arcade game needs: its parent, BIOS and device
+ * sets.
+ *
+ * The sets are downloaded from `EJS_romSetUrl` (a folder URL, the set `sf2` is
+ * `<url>/sf2.zip`), cached like the game file, and written next to it, where
+ * FBNeo and MAME look for them. What a set needs comes from
+ * `EJS_romSetManifest`, an object or the URL of a JSON file like:
+ *
+ *     {
+ *         "sf2ce": { "parent": "sf2", "devices": ["qsound"], "roms": ["s92_23a.8f"] },
+ *         "kof98": { "bios": "neogeo" },
+ *         "neogeo": { "roms": ["sp-s2.sp1", "000-lo.lo"] }
+ *     }
+ *
+ * `roms` is optional. When given, the files are looked for in the set and in
+ * its parents, so sets that lack them are reported before the core boots.
+ * Only ZIP sets are checked.
+ */
+class EJS_ArcadeSets {
+    /**
+     * @param {Object} EJS - The main EmulatorJS instance
+     */
+    constructor(EJS) {
+        this.EJS = EJS;
+        this.manifest = null;
+    }
+    /**
+     * @returns {boolean} Whether the game is an arcade game with sets configured
+     */
+    isEnabled() {
+        return ["arcade", "mame"].includes(this.EJS.getCore(true)) &&
+               !!(this.EJS.config.romSetUrl || this.EJS.config.romSetManifest);
+    }
+    /**
+     * @returns {Promise<Object>} The manifest, an empty one if there is none or it can not be read
+     */
+    async loadManifest() {
+        if (this.manifest) return this.manifest;
+        const manifest = this.EJS.config.romSetManifest;
+        if (manifest && typeof manifest === "object") {
+            this.manifest = manifest;
+        } else if (typeof manifest === "string") {
+            const res = await this.EJS.downloadFile(manifest, null, true, { responseType: "text", method: "GET" });
+            try {
+                if (res === -1) throw new Error("Network error");
+                // downloadFile already parses JSON responses
+                this.manifest = (typeof res.data === "string") ? JSON.parse(res.data) : res.data;
+                if (!this.manifest || typeof this.manifest !== "object") throw new Error("Not an object");
+            } catch(e) {
+                this.manifest = null;
+                console.warn("Could not read the ROM set manifest " + manifest, e);
+            }
+        }
+        return this.manifest || (this.manifest = {});
+    }
+    /**
+     * @param {string} name - A set name
+     * @returns {string[]} The parents of the set, closest first
+     */
+    getParents(name) {
+        const parents = [];
+        let set = this.manifest[name];
+        while (set && set.parent && !parents.includes(set.parent) && set.parent !== name) {
+            parents.push(set.parent);
+            set = this.manifest[set.parent];
+        }
+        return parents;
+    }
+    /**
+     * @param {string} name - The game's set name
+     * @returns {string[]} Every set the game needs, the game's own set first
+     */
+    resolve(name) {
+        const sets = [];
+        const add = (name) => {
+            if (!name || sets.includes(name)) return;
+            sets.push(name);
+            const set = this.manifest[name] || {};
+            add(set.parent);
+            add(set.bios);
+            for (const device of [].concat(set.devices || [])) add(device);
+        };
+        add(name);
+        return sets;
+    }
+    getPath(name) {
+        const gamePath = "/" + this.EJS.fileName;
+        return gamePath.substring(0, gamePath.length - gamePath.split("/").pop().length) + name + ".zip";
+    }
+    /**
+     * Downloads a set, or reads it from the cache.
+     *
+     * @param {string} name - A set name
+     * @returns {Promise<Uint8Array|null>} null if it could not be downloaded
+     */
+    async fetchSet(name) {
+        let base = this.EJS.config.romSetUrl;
+        if (typeof base !== "string") return null;
+        if (!base.endsWith("/")) base += "/";
+        const url = base + encodeURIComponent(name) + ".zip";
+        const key = name + ".zip";
+        if (!this.EJS.debug) {
+            const cached = await this.EJS.cache.get("rom", key).catch(e => this.EJS.storageError(e));
+            if (cached && cached.type === "romset" && await this.EJS.cache.isValid(cached, url, key)) {
+                return new Uint8Array(cached.data);
+            }
+        }
+        const message = this.EJS.localization("Download ROM set") + " " + name;
+        this.EJS.textElem.innerText = message;
+        const res = await this.EJS.downloadFile(url, (progress) => {
+            this.EJS.textElem.innerText = message + progress;
+        }, true, { responseType: "arraybuffer", method: "GET" });
+        if (res === -1) return null;
+        const limit = (typeof this.EJS.config.cacheLimit === "number") ? this.EJS.config.cacheLimit : 1073741824;
+        if (res.data.byteLength < limit && this.EJS.saveInBrowserSupported()) {
+            this.EJS.cache.putDownload("rom", key, res, { type: "romset" }).catch(e => this.EJS.storageError(e));
+        }
+        return new Uint8Array(res.data);
+    }
+    /**
+     * @param {string} path - The set in the FS
+     * @returns {string[]|null} The lower case names of the files in the set,
+     *   null if it is not a ZIP
+     *
+     * @description
+     * Only ZIP sets are listed, from their directory. 7Z sets can only be
+     * listed by extracting them, which would hold every set in memory.
+     */
+    listSet(path) {
+        if (!this.EJS.compression) {
+            this.EJS.compression = new window.EJS_COMPRESSION(this.EJS);
+        }
+        const list = this.EJS.compression.listEntries(this.EJS.gameManager.FS.readFile(path));
+        return list && list.map(entry => entry.name.split("/").pop().toLowerCase());
+    }
+    /**
+     * Writes every set the game needs to the FS and checks their files.
+     *
+     * @returns {Promise<Object>} `{ sets, missingSets, missingFiles }`: the sets
+     *   the game needs, those that are neither in the FS nor downloadable, and
+     *   the files listed in the manifest that are in none of the places they
+     *   are looked for, by set
+     */
+    async load() {
+        await this.loadManifest();
+        const FS = this.EJS.gameManager.FS;
+        const game = this.EJS.fileName.split("/").pop().replace(/\.(zip|7z)$/i, "");
+        const report = { sets: this.resolve(game), missingSets: [], missingFiles: {} };
+        const entries = {};
+        await Promise.all(report.sets.map(async (name) => {
+            const path = (name === game) ? "/" + this.EJS.fileName : this.getPath(name);
+            if (!FS.analyzePath(path).exists) {
+                const data = await this.fetchSet(name);
+                if (!data) {
+                    report.missingSets.push(name);
+                    return;
+                }
+                FS.writeFile(path, data);
+            }
+            entries[name] = this.listSet(path);
+        }));
+        for (const name of report.sets) {
+            const set = this.manifest[name];
+            if (!set || !Array.isArray(set.roms) || report.missingSets.includes(name)) continue;
+            const places = [name].concat(this.getParents(name)).filter(place => place in entries);
+            // Not a ZIP, the core will complain itself if a file is missing
+            if (places.some(place => entries[place] === null)) continue;
+            const missing = set.roms.filter(rom => !places.some(place => entries[place].includes(rom.toLowerCase())));
+            if (missing.length > 0) report.missingFiles[name] = missing;
+        }
+        report.missingSets.sort((a, b) => report.sets.indexOf(a) - report.sets.indexOf(b));
+        this.EJS.callEvent("romSetsLoaded", report);
+        return report;
+    }
+}
+
+window.EJS_ArcadeSets = EJS_ArcadeSets;
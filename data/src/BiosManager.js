@@ -0,0 +1,193 @@
+/**
+ * Knows the BIOS files each core uses and checks them before the game boots.
+ *
+ * `EJS_BiosManager.SYSTEMS` lists groups of BIOS files per system. Any one
+ * file of a group satisfies it (the regions of one BIOS, say), and a required
+ * group has to be satisfied for the core to boot at all. Files are looked for
+ * where `downloadBios` puts them, next to the game file, and checked by MD5
+ * (or, for ZIP sets like `neogeo.zip`, by the files they contain).
+ *
+ * BIOS files the user picks locally are kept in the `bios` cache (which is
+ * never evicted) and written to the FS again on the next boot.
+ */
+class EJS_BiosManager {
+    /**
+     * @param {Object} EJS - The main EmulatorJS instance
+     */
+    constructor(EJS) {
+        this.EJS = EJS;
+    }
+    /**
+     * @returns {Object[]} The groups of BIOS files of the current core, with the
+     *   files the core does not use left out and `required` resolved to a boolean
+     */
+    getGroups() {
+        const core = this.EJS.getCore();
+        const usedBy = (item) => !item.cores || item.cores.includes(core);
+        return (EJS_BiosManager.SYSTEMS[this.EJS.getCore(true)] || []).filter(usedBy).map(group => ({
+            description: group.description,
+            required: Array.isArray(group.required) ? group.required.includes(core) : group.required === true,
+            files: group.files.filter(usedBy)
+        }));
+    }
+    /**
+     * @returns {Object[]} Every BIOS file of the current core
+     */
+    getFiles() {
+        return this.getGroups().reduce((files, group) => files.concat(group.files), []);
+    }
+    getPath(name) {
+        const gamePath = "/" + (this.EJS.fileName || "");
+        return gamePath.substring(0, gamePath.length - gamePath.split("/").pop().length) + name;
+    }
+    /**
+     * Writes the stored BIOS files of the current core that are not in the FS.
+     */
+    async restore() {
+        const FS = this.EJS.gameManager.FS;
+        for (const file of this.getFiles()) {
+            const path = this.getPath(file.name);
+            if (FS.analyzePath(path).exists) continue;
+            const stored = await this.EJS.cache.get("bios", file.name);
+            if (stored && stored.data) {
+                FS.writeFile(path, stored.data);
+                if (this.EJS.debug) console.log("Restored BIOS file " + file.name);
+            }
+        }
+    }
+    /**
+     * @param {Object} file - A file of `EJS_BiosManager.SYSTEMS`
+     * @returns {Promise<string>} "ok", "missing" or "mismatch"
+     */
+    async checkFile(file) {
+        const FS = this.EJS.gameManager.FS;
+        const path = this.getPath(file.name);
+        if (!FS.analyzePath(path).exists) return "missing";
+        const data = FS.readFile(path);
+        if (file.members) {
+            if (!this.EJS.compression) {
+                this.EJS.compression = new window.EJS_COMPRESSION(this.EJS);
+            }
+            const entries = this.EJS.compression.listEntries(data);
+            if (!entries) return "mismatch";
+            const names = entries.map(entry => entry.name.split("/").pop().toLowerCase());
+            return file.members.every(member => names.includes(member)) ? "ok" : "mismatch";
+        }
+        if (!file.md5) return "ok";
+        const hashes = await this.EJS.romHasher.hash(data);
+        return file.md5.includes(hashes.md5) ? "ok" : "mismatch";
+    }
+    /**
+     * Checks the BIOS files of the current core.
+     *
+     * @returns {Promise<Object>} `{ files, missing, optional, mismatched }`: the
+     *   status of every file by name, the required and the optional groups none
+     *   of whose files were found, and the names of the files that were found
+     *   but do not match
+     */
+    async check() {
+        const report = { files: {}, missing: [], optional: [], mismatched: [] };
+        for (const group of this.getGroups()) {
+            let found = false;
+            for (const file of group.files) {
+                const status = await this.checkFile(file);
+                report.files[file.name] = status;
+                if (status === "missing") continue;
+                found = true;
+                if (status === "mismatch") report.mismatched.push(file.name);
+            }
+            if (!found) {
+                (group.required ? report.missing : report.optional).push(group);
+            }
+        }
+        return report;
+    }
+    /**
+     * Adds a BIOS file the user picked. It is recognised by its MD5, or else by
+     * its name, written to the FS under the name the core expects and stored.
+     *
+     * @param {string} name - The name of the picked file
+     * @param {Uint8Array} data
+     * @returns {Promise<string|null>} The BIOS file name, null if it is not a BIOS file of this core
+     */
+    async add(name, data) {
+        const files = this.getFiles();
+        const hashes = await this.EJS.romHasher.hash(data);
+        const file = files.find(file => file.md5 && file.md5.includes(hashes.md5)) ||
+                     files.find(file => file.name.toLowerCase() === name.toLowerCase());
+        if (!file) return null;
+        this.EJS.gameManager.FS.writeFile(this.getPath(file.name), data);
+        await this.EJS.cache.put("bios", file.name, {
+            name: file.name,
+            data: data,
+            md5: hashes.md5,
+            date: Date.now()
+        }).catch(e => this.EJS.storageError(e));
+        return file.name;
+    }
+}
+
+/**
+ * BIOS files by system (`getCore(true)`). `required` is true, or the cores that
+ * can not boot without the group (the others emulate the BIOS); `cores` limits
+ * a group to some cores of the system.
+ */
+EJS_BiosManager.SYSTEMS = {
+    psx: [{
+        description: "PlayStation BIOS",
+        required: ["mednafen_psx_hw"],
+        files: [
+            { name: "scph5501.bin", md5: ["490f666e1afb15b7362b406ed1cea246"] },
+            { name: "scph5500.bin", md5: ["8dd7d5296a650fac7319bce665a6a53c"] },
+            { name: "scph5502.bin", md5: ["32736f17079d0b2b7024407c39bd3050"] },
+            { name: "scph1001.bin", md5: ["924e392ed05558ffdb115408c263dccf"], cores: ["pcsx_rearmed"] }
+        ]
+    }],
+    segaCD: [{
+        description: "Sega CD BIOS",
+        required: true,
+        files: [
+            { name: "bios_CD_U.bin", md5: ["2efd74e3232ff260e371b99f84024f7f"] },
+            { name: "bios_CD_E.bin", md5: ["e66fa1dc5820d254611fdcdba0662372"] },
+            { name: "bios_CD_J.bin", md5: ["278a9397d192149e84e820ac621a8edd"] }
+        ]
+    }],
+    gba: [{ description: "Game Boy Advance BIOS", required: false, files: [{ name: "gba_bios.bin", md5: ["a860e8c0b6d573d191e4ec7db1b1e4f6"] }] }],
+    gb: [
+        { description: "Game Boy boot ROM", required: false, files: [{ name: "gb_bios.bin", md5: ["32fbbd84168d3482956eb3c5051637f5"] }] },
+        { description: "Game Boy Color boot ROM", required: false, files: [{ name: "gbc_bios.bin", md5: ["dbfce9db9deaa2567f6a84fde55f9680"] }] }
+    ],
+    nds: [
+        { description: "Nintendo DS ARM7 BIOS", required: false, files: [{ name: "bios7.bin", md5: ["df692a80a5b1bc90728bc3dfc76cd948"] }] },
+        { description: "Nintendo DS ARM9 BIOS", required: false, files: [{ name: "bios9.bin", md5: ["a392174eb3e572fed6447e956bde4b25"] }] },
+        { description: "Nintendo DS firmware", required: false, files: [{ name: "firmware.bin" }] }
+    ],
+    arcade: [{
+        description: "Neo Geo BIOS set, for Neo Geo games",
+        required: false,
+        cores: ["fbneo"],
+        files: [{ name: "neogeo.zip", members: ["000-lo.lo", "sfix.sfix", "sm1.sm1"] }]
+    }],
+    lynx: [{ description: "Atari Lynx boot ROM", required: true, files: [{ name: "lynxboot.img", md5: ["fcd403db69f54290b51035d82f835e7b"] }] }],
+    atari5200: [{ description: "Atari 5200 BIOS", required: true, files: [{ name: "5200.rom", md5: ["281f20ea4320404ec820fb7ec0693b38"] }] }],
+    atari7800: [{ description: "Atari 7800 BIOS", required: false, files: [{ name: "7800 BIOS (U).rom", md5: ["0763f1ffb006ddbe32e52d497ee848ae"] }] }],
+    coleco: [{ description: "ColecoVision BIOS", required: true, files: [{ name: "colecovision.rom", md5: ["2c66f5911e5b42b8ebe113403548eee7"] }] }],
+    intv: [
+        { description: "Intellivision Executive ROM", required: true, files: [{ name: "exec.bin", md5: ["62e761035cb657903761800f4437b8af"] }] },
+        { description: "Intellivision Graphics ROM", required: true, files: [{ name: "grom.bin", md5: ["0cd5946c6473e42e8e4c2137785e427f"] }] }
+    ],
+    pce: [{ description: "PC Engine CD System Card, for CD games", required: false, files: [{ name: "syscard3.pce", md5: ["38179df8f4ac870017db21ebcbf53114"] }] }],
+    pcfx: [{ description: "PC-FX BIOS", required: true, files: [{ name: "pcfx.rom", md5: ["08e36edbea28a017f79f8d4f7ff9b6d7"] }] }],
+    "3do": [{
+        description: "3DO BIOS",
+        required: true,
+        files: [
+            { name: "panafz10.bin", md5: ["51f2f43ae2f3508a14d9f56597e2d3ce"] },
+            { name: "panafz1.bin", md5: ["f47264dd47fe30f73ab3c010015c155b"] },
+            { name: "goldstar.bin", md5: ["8639fd5e549bd6238cfee79e3e749114"] }
+        ]
+    }],
+    segaSaturn: [{ description: "Sega Saturn BIOS", required: false, files: [{ name: "saturn_bios.bin", md5: ["af5828fdff51384f99b3c4926be27762"] }] }]
+};
+
+window.EJS_BiosManager = EJS_BiosManager;
@@ -0,0 +1,313 @@
+/**
+ * Least recently used eviction for the download caches (`rom`, `bios` and `core`).
+ *
+ * The caches themselves stay plain EJS_STORAGE instances. This class keeps a
+ * small side table with the size and last access time of every cached entry,
+ * so that old entries can be dropped without having to read the (large)
+ * cached files. Writes go through `put()`, which makes room first: entries are
+ * evicted oldest first until the new one fits in the configured budget
+ * (`EJS_CacheBudget`, in bytes) and below `headroom` of the browser quota.
+ * Entries of the `pinned` stores count towards the budget but are never
+ * evicted: the `bios` store holds files the user picked, which can not be
+ * downloaded again.
+ */
+class EJS_CacheManager {
+    /**
+     * @param {Object} EJS - The main EmulatorJS instance
+     */
+    constructor(EJS) {
+        this.EJS = EJS;
+        this.stores = ["rom", "bios", "core"];
+        this.pinned = ["bios"];
+        this.headroom = 0.9;
+        this.budget = (typeof EJS.config.cacheBudget === "number") ? EJS.config.cacheBudget : Infinity;
+        if (EJS.config.disableDatabases) {
+            this.access = new window.EJS_DUMMYSTORAGE();
+        } else {
+            this.access = new window.EJS_STORAGE("EmulatorJS-cache", "access");
+        }
+        this.synced = null;
+    }
+    getAccessKey(store, key) {
+        return store + "/" + key;
+    }
+    /**
+     * Size of a stored value: the value itself if it is binary, otherwise the
+     * sum of its binary fields (`data` for caches, `state` and `screenshot` for states).
+     */
+    getSize(data) {
+        if (!data) return 0;
+        if (typeof data.byteLength === "number") return data.byteLength;
+        let size = 0;
+        for (const k in data) {
+            if (data[k] && typeof data[k].byteLength === "number") size += data[k].byteLength;
+        }
+        return size;
+    }
+    /**
+     * Reads a cached entry and marks it as used.
+     *
+     * @param {string} store - "rom", "bios" or "core"
+     * @param {string} key
+     * @returns {Promise<*>} The cached entry, `undefined` if missing
+     */
+    async get(store, key) {
+        const result = await this.EJS.storage[store].get(key);
+        if (result !== undefined) {
+            this.touch(store, key, this.getSize(result)).catch(e => {
+                if (this.EJS.debug) console.warn("Could not update cache access time", e);
+            });
+        }
+        return result;
+    }
+    touch(store, key, size) {
+        return this.access.put(this.getAccessKey(store, key), {
+            store: store,
+            key: key,
+            size: size,
+            lastAccess: Date.now()
+        });
+    }
+    /**
+     * Writes an entry to a cache, evicting the least recently used entries first if needed.
+     *
+     * @param {string} store - "rom", "bios" or "core"
+     * @param {string} key
+     * @param {Object} data - The entry, e.g. `{ data: Uint8Array, ... }`
+     * @returns {Promise<boolean>} `false` if the entry is larger than the whole budget and was not stored
+     */
+    async put(store, key, data) {
+        const size = this.getSize(data);
+        if (!(await this.makeRoom(size, store, key))) return false;
+        try {
+            await this.EJS.storage[store].put(key, data);
+        } catch(e) {
+            // The estimate is only an estimate. Drop one more entry and try once more.
+            if (!(e instanceof window.EJS_StorageError) || e.type !== window.EJS_StorageError.QUOTA_EXCEEDED) throw e;
+            if (!(await this.evictOldest(store, key))) throw e;
+            await this.EJS.storage[store].put(key, data);
+        }
+        await this.touch(store, key, size);
+        return true;
+    }
+    /**
+     * Caches a downloaded file with what it can be revalidated with later:
+     * the `Content-Length`, `ETag` and `Last-Modified` of the response, and its
+     * hashes if `EJS_fileHashes` has a hash for it.
+     *
+     * @param {string} store - "rom", "bios" or "core"
+     * @param {string} key - The file name
+     * @param {Object} res - The result of `downloadFile`
+     * @param {Object} [extra] - More fields for the entry, like its `type`
+     */
+    async putDownload(store, key, res, extra) {
+        const entry = {
+            "content-length": res.headers["content-length"] || String(res.data.byteLength),
+            etag: res.headers.etag || null,
+            "last-modified": res.headers["last-modified"] || null,
+            date: Date.now(),
+            data: res.data,
+            ...extra
+        };
+        if (this.getConfiguredHash(key)) {
+            entry.hashes = await this.EJS.romHasher.hash(new Uint8Array(res.data));
+        }
+        return await this.put(store, key, entry);
+    }
+    /**
+     * @returns {Object|null} `{ type, value }` of the hash `EJS_fileHashes` has for a file.
+     *   Values are hex, optionally prefixed with `crc32:`, `md5:` or `sha1:`.
+     */
+    getConfiguredHash(name) {
+        const hashes = this.EJS.config.fileHashes;
+        if (!hashes || typeof hashes[name] !== "string") return null;
+        const parts = hashes[name].trim().toLowerCase().split(":");
+        const value = parts.pop();
+        const type = parts.pop() || { 8: "crc32", 32: "md5", 40: "sha1" }[value.length];
+        return type ? { type: type, value: value } : null;
+    }
+    /**
+     * Checks if a cached download is still what the server has.
+     *
+     * With a configured hash only the cached data is checked. Otherwise the
+     * server is asked with a conditional HEAD request, then the `ETag`,
+     * `Last-Modified` and `Content-Length` are compared, in that order, with
+     * whichever the server sends. When the server can not be reached, or sends
+     * none of them, the cached copy is used; in the latter case only until it
+     * is older than `EJS_cacheMaxAge` (ms), if that is set.
+     *
+     * @param {Object} entry - The cached entry
+     * @param {string} url - Where the entry was downloaded from
+     * @param {string} name - The file name, the key in `EJS_fileHashes`
+     * @returns {Promise<boolean>}
+     */
+    async isValid(entry, url, name) {
+        const hash = this.getConfiguredHash(name);
+        if (hash) {
+            const hashes = entry.hashes || await this.EJS.romHasher.hash(new Uint8Array(entry.data));
+            return hashes[hash.type] === hash.value;
+        }
+        let protocol;
+        try {
+            protocol = new URL(url, window.location.href).protocol;
+        } catch(e) {}
+        // blob: and data: URLs can not change
+        if (!["http:", "https:"].includes(protocol)) return true;
+        const conditions = {};
+        if (entry.etag) conditions["If-None-Match"] = entry.etag;
+        if (entry["last-modified"]) conditions["If-Modified-Since"] = entry["last-modified"];
+        let res = -1;
+        if (Object.keys(conditions).length > 0) {
+            res = await this.EJS.downloadFile(url, null, true, { method: "HEAD", headers: conditions });
+        }
+        if (res === -1) {
+            // Cross origin servers may refuse the conditional headers
+            res = await this.EJS.downloadFile(url, null, true, { method: "HEAD" });
+        }
+        if (res === -1) return true;
+        if (res.status === 304) return true;
+        for (const header of ["etag", "last-modified", "content-length"]) {
+            if (entry[header] && res.headers[header]) return entry[header] === res.headers[header];
+        }
+        const maxAge = this.EJS.config.cacheMaxAge;
+        if (typeof maxAge === "number") return !!entry.date && Date.now() - entry.date < maxAge;
+        return true;
+    }
+    async remove(store, key) {
+        await this.EJS.storage[store].remove(key);
+        await this.access.remove(this.getAccessKey(store, key));
+    }
+    async removeMany(store, keys) {
+        await this.EJS.storage[store].batch(keys.map(key => ({ type: "remove", key: key })));
+        if (!this.stores.includes(store)) return;
+        await this.access.batch(keys.map(key => ({ type: "remove", key: this.getAccessKey(store, key) })));
+    }
+    async clear(store) {
+        await this.removeMany(store, await this.EJS.storage[store].getKeys());
+    }
+    /**
+     * Lists the entries of any store, including `states`, which is not evicted
+     * but is shown in the Cache Manager. For states the last use is the save date.
+     *
+     * @param {string} store - "rom", "bios", "core" or "states"
+     * @returns {Promise<Object[]>} `{ store, key, size, lastAccess }`, `lastAccess` is 0 when unknown
+     */
+    async list(store) {
+        if (this.stores.includes(store)) {
+            return (await this.getEntries()).filter(entry => entry.store === store);
+        }
+        const entries = [];
+        for (const key of await this.EJS.storage[store].getKeys()) {
+            const value = await this.EJS.storage[store].get(key);
+            entries.push({
+                store: store,
+                key: key,
+                size: this.getSize(value),
+                lastAccess: (value && typeof value.date === "number") ? value.date : 0
+            });
+        }
+        return entries;
+    }
+    /**
+     * Adds entries cached by older versions (which did not record access times)
+     * to the access table as the oldest entries, and forgets entries that no
+     * longer exist. Runs once per page load.
+     */
+    sync() {
+        if (this.synced) return this.synced;
+        this.synced = (async () => {
+            const known = {};
+            for (const entry of await this.access.getAll()) {
+                known[this.getAccessKey(entry.store, entry.key)] = entry;
+            }
+            const operations = [];
+            for (const store of this.stores) {
+                const sizes = await this.EJS.storage[store].getSizes();
+                for (const key in sizes) {
+                    const accessKey = this.getAccessKey(store, key);
+                    if (known[accessKey]) {
+                        delete known[accessKey];
+                        continue;
+                    }
+                    operations.push({
+                        type: "put",
+                        key: accessKey,
+                        data: { store: store, key: key, size: sizes[key], lastAccess: 0 }
+                    });
+                }
+            }
+            for (const accessKey in known) {
+                operations.push({ type: "remove", key: accessKey });
+            }
+            if (operations.length > 0) await this.access.batch(operations);
+        })();
+        this.synced.catch(() => {
+            this.synced = null;
+        });
+        return this.synced;
+    }
+    /**
+     * @returns {Promise<Object[]>} Every cached entry, least recently used first
+     */
+    async getEntries() {
+        await this.sync();
+        const entries = await this.access.getAll();
+        return entries.sort((a, b) => a.lastAccess - b.lastAccess);
+    }
+    async estimate() {
+        if (!navigator.storage || !navigator.storage.estimate) return null;
+        try {
+            return await navigator.storage.estimate();
+        } catch(e) {
+            return null;
+        }
+    }
+    async evictOldest(exceptStore, exceptKey) {
+        const entries = await this.getEntries();
+        const oldest = entries.find(entry => !this.pinned.includes(entry.store) && !(entry.store === exceptStore && entry.key === exceptKey));
+        if (!oldest) return false;
+        await this.remove(oldest.store, oldest.key);
+        return true;
+    }
+    /**
+     * Evicts least recently used entries until `size` more bytes fit.
+     *
+     * @param {number} size - Size of the entry about to be written
+     * @param {string} store - Store of the entry about to be written
+     * @param {string} key - Key of the entry about to be written, it is never evicted
+     * @returns {Promise<boolean>} `false` if the entry can not fit in the budget at all
+     */
+    async makeRoom(size, store, key) {
+        if (size > this.budget) return false;
+        const entries = (await this.getEntries()).filter(entry => !(entry.store === store && entry.key === key));
+        let cacheSize = entries.reduce((total, entry) => total + entry.size, 0);
+        const estimate = await this.estimate();
+        let usage = (estimate && estimate.usage) || 0;
+        const quota = (estimate && estimate.quota) ? estimate.quota * this.headroom : Infinity;
+        const evictable = entries.filter(entry => !this.pinned.includes(entry.store));
+        while ((cacheSize + size > this.budget || usage + size > quota) && evictable.length > 0) {
+            const oldest = evictable.shift();
+            if (this.EJS.debug) console.log("Evicting " + oldest.store + "/" + oldest.key + " from the cache");
+            await this.remove(oldest.store, oldest.key);
+            cacheSize -= oldest.size;
+            usage -= oldest.size;
+        }
+        return cacheSize + size <= this.budget;
+    }
+    /**
+     * Asks the browser not to clear our storage under storage pressure.
+     *
+     * @returns {Promise<boolean>} Whether storage is persistent
+     */
+    async requestPersistence() {
+        if (!navigator.storage || !navigator.storage.persist) return false;
+        try {
+            if (await navigator.storage.persisted()) return true;
+            return await navigator.storage.persist();
+        } catch(e) {
+            return false;
+        }
+    }
+}
+
+window.EJS_CacheManager = EJS_CacheManager;
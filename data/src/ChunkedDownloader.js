@@ -0,0 +1,232 @@
+/**
+ * Downloads large files in HTTP Range chunks.
+ *
+ * Every chunk is written to IndexedDB as soon as it arrives, so a dropped
+ * connection only costs the chunk in flight: chunks are retried a few times,
+ * and after a reload the download continues from the stored chunks. The
+ * stored chunks are dropped when the file on the server changed (size, ETag or
+ * Last-Modified), once the download completes, or after a week unused.
+ *
+ * The file is put together in memory, so without IndexedDB
+ * (`EJS_disableDatabases`, or no quota left) it still downloads, it just can
+ * not resume.
+ *
+ * Servers that do not answer Range requests with `206 Partial Content` (or
+ * whose size can not be read because of CORS) are left to `downloadFile`.
+ */
+class EJS_ChunkedDownloader {
+    /**
+     * @param {Object} EJS - The main EmulatorJS instance
+     */
+    constructor(EJS) {
+        this.EJS = EJS;
+        this.chunkSize = (typeof EJS.config.downloadChunkSize === "number") ? EJS.config.downloadChunkSize : 8388608;
+        this.retries = 3;
+        this.maxAge = 7 * 24 * 60 * 60 * 1000;
+        this.controller = null;
+        if (EJS.config.disableDatabases) {
+            this.storage = new window.EJS_DUMMYSTORAGE();
+        } else {
+            this.storage = new window.EJS_STORAGE("EmulatorJS-downloads", "chunks");
+        }
+    }
+    getMetaKey(url) {
+        return "meta/" + url;
+    }
+    getChunkKey(url, index) {
+        return "chunk/" + index + "/" + url;
+    }
+    /**
+     * Stops the running download. Its chunks are kept, so it resumes next time.
+     */
+    cancel() {
+        if (this.controller) this.controller.abort();
+    }
+    /**
+     * @param {string} url - An http(s) URL
+     * @param {Function} [progressCB] - Called with the progress text, like `downloadFile`
+     * @returns {Promise<Object|number|null>} `{ data: ArrayBuffer, headers }` like
+     *   `downloadFile`, -1 on failure, "cancelled" when cancelled, or null if the
+     *   server does not support Range requests
+     */
+    async download(url, progressCB) {
+        if (this.chunkSize <= 0 || typeof AbortController === "undefined") return null;
+        try {
+            url = new URL(url, window.location.href);
+        } catch(e) {
+            return null;
+        }
+        if (!["http:", "https:"].includes(url.protocol)) return null;
+        url.hash = "";
+        url = url.href;
+        this.controller = new AbortController();
+        const signal = this.controller.signal;
+        try {
+            return await this.run(url, progressCB, signal);
+        } catch(e) {
+            if (signal.aborted) return "cancelled";
+            console.warn("Chunked download of " + url + " failed", e);
+            return -1;
+        } finally {
+            this.controller = null;
+        }
+    }
+    async run(url, progressCB, signal) {
+        let first;
+        try {
+            first = await this.fetchChunk(url, 0, this.chunkSize - 1, signal);
+        } catch(e) {
+            // E.g. a CORS preflight rejecting the Range header, a plain request may still work
+            if (signal.aborted) throw e;
+            if (this.EJS.debug) console.warn("Range request for " + url + " failed", e);
+            return null;
+        }
+        if (!first) return null;
+        const total = first.total;
+        if (total <= first.data.byteLength) {
+            return { data: first.data.buffer, headers: this.getHeaders(first) };
+        }
+        await this.removeStale(url).catch(e => console.warn("Could not remove old partial downloads", e));
+
+        // The chunks are collected here. They are stored too, so the download
+        // can resume after a reload, as long as the store works.
+        const out = new Uint8Array(total);
+        out.set(first.data, 0);
+        const done = { 0: true };
+        let persist = !(this.storage instanceof window.EJS_DUMMYSTORAGE);
+        const store = async (key, value) => {
+            if (!persist) return;
+            try {
+                await this.storage.put(key, value);
+            } catch(e) {
+                persist = false;
+                console.warn("Could not store the chunks of " + url + ", the download will not resume", e);
+            }
+        };
+
+        const count = Math.ceil(total / this.chunkSize);
+        const meta = {
+            size: total,
+            chunkSize: this.chunkSize,
+            etag: first.etag,
+            lastModified: first.lastModified,
+            date: Date.now()
+        };
+        const stored = await this.storage.get(this.getMetaKey(url)).catch(() => null);
+        const keys = (await this.storage.getKeys().catch(() => [])).filter(key => key.startsWith("chunk/") && key.endsWith("/" + url));
+        const resumed = stored && stored.size === meta.size && stored.chunkSize === meta.chunkSize &&
+            stored.etag === meta.etag && stored.lastModified === meta.lastModified;
+        if (resumed) {
+            for (const key of keys) {
+                const index = parseInt(key.split("/")[1]);
+                if (done[index]) continue;
+                const chunk = await this.storage.get(key).catch(() => null);
+                // A damaged chunk is downloaded again
+                if (!chunk || chunk.byteLength !== this.getChunkLength(index, total)) continue;
+                out.set(chunk, index * this.chunkSize);
+                done[index] = true;
+            }
+        } else if (keys.length > 0) {
+            await this.storage.batch(keys.map(key => ({ type: "remove", key: key }))).catch(() => {});
+        }
+        await store(this.getMetaKey(url), meta);
+        if (!resumed || !keys.includes(this.getChunkKey(url, 0))) {
+            await store(this.getChunkKey(url, 0), first.data);
+        }
+
+        let loaded = Object.keys(done).reduce((size, index) => size + this.getChunkLength(index, total), 0);
+        const report = () => {
+            if (!(progressCB instanceof Function)) return;
+            progressCB(" " + Math.floor(loaded / total * 100) + "% (" + (loaded / 1048576).toFixed(1) + " / " + (total / 1048576).toFixed(1) + " MB)");
+        };
+        report();
+        for (let index = 0; index < count; index++) {
+            if (done[index]) continue;
+            const start = index * this.chunkSize;
+            const end = Math.min(start + this.chunkSize, total) - 1;
+            let chunk;
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    chunk = await this.fetchChunk(url, start, end, signal);
+                    break;
+                } catch(e) {
+                    if (signal.aborted || attempt >= this.retries) throw e;
+                    await new Promise(resolve => setTimeout(resolve, 1000 * Math.pow(2, attempt)));
+                }
+            }
+            if (!chunk || chunk.total !== total || chunk.etag !== meta.etag || chunk.lastModified !== meta.lastModified) {
+                // The file changed on the server while downloading, start over
+                await this.clear(url).catch(() => {});
+                return await this.run(url, progressCB, signal);
+            }
+            out.set(chunk.data, start);
+            await store(this.getChunkKey(url, index), chunk.data);
+            loaded += chunk.data.byteLength;
+            report();
+        }
+        await this.clear(url).catch(e => console.warn("Could not remove the finished download", e));
+        return { data: out.buffer, headers: this.getHeaders(first) };
+    }
+    /**
+     * The headers `downloadFile` would have returned for the whole file.
+     */
+    getHeaders(chunk) {
+        return {
+            "content-length": String(chunk.total),
+            etag: chunk.etag,
+            "last-modified": chunk.lastModified
+        };
+    }
+    getChunkLength(index, total) {
+        return Math.min(this.chunkSize, total - index * this.chunkSize);
+    }
+    /**
+     * @returns {Promise<Object|null>} `{ data, total, etag, lastModified }`, null
+     *   if the server ignored the Range header or the size is not readable
+     */
+    async fetchChunk(url, start, end, signal) {
+        const res = await fetch(url, {
+            headers: { Range: "bytes=" + start + "-" + end },
+            signal: signal
+        });
+        if (res.status !== 206) {
+            if (res.body) res.body.cancel().catch(() => {});
+            if (res.ok) return null;
+            throw new Error("HTTP " + res.status);
+        }
+        const range = /\/(\d+)\s*$/.exec(res.headers.get("content-range") || "");
+        if (!range) {
+            // Content-Range is not exposed through CORS
+            if (res.body) res.body.cancel().catch(() => {});
+            return null;
+        }
+        const data = new Uint8Array(await res.arrayBuffer());
+        if (data.byteLength !== end - start + 1 && start + data.byteLength !== parseInt(range[1])) {
+            throw new Error("Incomplete chunk");
+        }
+        return {
+            data: data,
+            total: parseInt(range[1]),
+            etag: res.headers.get("etag"),
+            lastModified: res.headers.get("last-modified")
+        };
+    }
+    async clear(url) {
+        const keys = (await this.storage.getKeys()).filter(key => key.endsWith("/" + url));
+        await this.storage.batch(keys.map(key => ({ type: "remove", key: key })));
+    }
+    /**
+     * Drops partial downloads of other files that were not touched for `maxAge`.
+     */
+    async removeStale(url) {
+        const keys = await this.storage.getKeys();
+        for (const key of keys) {
+            if (!key.startsWith("meta/") || key === this.getMetaKey(url)) continue;
+            const meta = await this.storage.get(key);
+            if (meta && Date.now() - meta.date < this.maxAge) continue;
+            await this.clear(key.substring("meta/".length));
+        }
+    }
+}
+
+window.EJS_ChunkedDownloader = EJS_ChunkedDownloader;
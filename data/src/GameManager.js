@@ -86,36 +86,44 @@ class EJS_GameManager {
     loadExternalFiles() {
         return new Promise(async (resolve, reject) => {
             if (this.EJS.config.externalFiles && this.EJS.config.externalFiles.constructor.name === "Object") {
-                for (const key in this.EJS.config.externalFiles) {
-                    await new Promise(done => {
-                        this.EJS.downloadFile(this.EJS.config.externalFiles[key], null, true, { responseType: "arraybuffer", method: "GET" }).then(async (res) => {
-                            if (res === -1) {
-                                if (this.EJS.debug) console.warn("Failed to fetch file from '" + this.EJS.config.externalFiles[key] + "'. Make sure the file exists.");
-                                return done();
-                            }
-                            let path = key;
-                            if (key.trim().endsWith("/")) {
-                                const invalidCharacters = /[#<$+%>!`&*'|{}/\\?"=@:^\r\n]/ig;
-                                let name = this.EJS.config.externalFiles[key].split("/").pop().split("#")[0].split("?")[0].replace(invalidCharacters, "").trim();
-                                if (!name) return done();
-                                const files = await this.EJS.checkCompression(new Uint8Array(res.data), this.EJS.localization("Decompress Game Assets"));
-                                if (files["!!notCompressedData"]) {
-                                    path += name;
-                                } else {
-                                    for (const k in files) {
-                                        this.writeFile(path + k, files[k]);
-                                    }
+                try {
+                    for (const key in this.EJS.config.externalFiles) {
+                        await new Promise((done, failed) => {
+                            this.EJS.downloadFile(this.EJS.config.externalFiles[key], null, true, { responseType: "arraybuffer", method: "GET" }).then(async (res) => {
+                                if (res === -1) {
+                                    if (this.EJS.debug) console.warn("Failed to fetch file from '" + this.EJS.config.externalFiles[key] + "'. Make sure the file exists.");
                                     return done();
                                 }
-                            }
-                            try {
-                                this.writeFile(path, new Uint8Array(res.data));
-                            } catch(e) {
-                                if (this.EJS.debug) console.warn("Failed to write file to '" + path + "'. Make sure there are no conflicting files.");
-                            }
-                            done();
+                                let path = key;
+                                let data = new Uint8Array(res.data);
+                                if (key.trim().endsWith("/")) {
+                                    const invalidCharacters = /[#<$+%>!`&*'|{}/\\?"=@:^\r\n]/ig;
+                                    let name = this.EJS.config.externalFiles[key].split("/").pop().split("#")[0].split("?")[0].replace(invalidCharacters, "").trim();
+                                    if (!name) return done();
+                                    const files = await this.EJS.checkCompression(data, this.EJS.localization("Decompress Game Assets"));
+                                    if (files["!!notCompressedData"]) {
+                                        path += this.EJS.compression.getDecompressedName(name);
+                                        data = files["!!notCompressedData"];
+                                    } else {
+                                        for (const k in files) {
+                                            if (k.endsWith("/")) continue;
+                                            this.writeFile(path + k, files[k]);
+                                        }
+                                        return done();
+                                    }
+                                }
+                                try {
+                                    this.writeFile(path, data);
+                                } catch(e) {
+                                    if (this.EJS.debug) console.warn("Failed to write file to '" + path + "'. Make sure there are no conflicting files.");
+                                }
+                                done();
+                            }).catch(failed);
                         });
-                    })
+                    }
+                } catch(e) {
+                    reject(e);
+                    return;
                 }
             }
             resolve();
@@ -199,17 +207,36 @@ IF EXIST AUTORUN.BAT AUTORUN.BAT
     restart() {
         this.clearEJSResetTimer();
         this.functions.restart();
+        this.EJS.applyCheats();
     }
     getState() {
         return this.Module.EmulatorJSGetState();
     }
+    /**
+     * Loads a raw state or a state container. Compressed containers are
+     * decompressed first, so they load a moment later.
+     *
+     * @returns {Promise} Resolves once the state is loaded, rejects if it can not be decompressed
+     */
     loadState(state) {
+        // Exported states are wrapped in a container, the core only wants the state itself
+        const unpacked = this.EJS.stateManager.unpack(state);
+        if (unpacked.info && unpacked.info.compression) {
+            return Promise.resolve()
+                .then(() => this.EJS.stateManager.decompressState(unpacked.state, unpacked.info.compression))
+                .then(state => this.loadCoreState(state));
+        }
+        this.loadCoreState(unpacked.state);
+        return Promise.resolve();
+    }
+    loadCoreState(state) {
         try {
             this.FS.unlink("game.state");
         } catch(e) {}
         this.FS.writeFile("/game.state", state);
         this.clearEJSResetTimer();
         this.functions.loadState("game.state", 0);
+        this.EJS.applyCheats();
         setTimeout(() => {
             try {
                 this.FS.unlink("game.state");
@@ -243,6 +270,7 @@ IF EXIST AUTORUN.BAT AUTORUN.BAT
         } catch(e) {
             return false;
         }
+        this.EJS.callEvent("quickSave", slot);
         return true;
     }
     quickLoad(slot) {
@@ -251,6 +279,7 @@ IF EXIST AUTORUN.BAT AUTORUN.BAT
             let name = slot + "-quick.state";
             this.clearEJSResetTimer();
             this.functions.loadState(name, 0);
+            this.EJS.applyCheats();
         })();
     }
     simulateInput(player, index, value) {
@@ -350,7 +379,7 @@ IF EXIST AUTORUN.BAT AUTORUN.BAT
         return (fileNames.length === 1) ? baseFileName + "-0.cue" : baseFileName + ".m3u";
     }
     loadPpssppAssets() {
-        return new Promise(resolve => {
+        return new Promise((resolve, reject) => {
             this.EJS.downloadFile("cores/ppsspp-assets.zip", null, false, { responseType: "arraybuffer", method: "GET" }).then((res) => {
                 this.EJS.checkCompression(new Uint8Array(res.data), this.EJS.localization("Decompress Game Data")).then((pspassets) => {
                     if (pspassets === -1) {
@@ -377,7 +406,7 @@ IF EXIST AUTORUN.BAT AUTORUN.BAT
                         }
                     }
                     resolve();
-                })
+                }, reject);
             });
         })
     }
@@ -429,6 +458,22 @@ IF EXIST AUTORUN.BAT AUTORUN.BAT
         const exists = this.FS.analyzePath(this.getSaveFilePath()).exists;
         return (exists ? this.FS.readFile(this.getSaveFilePath()) : null);
     }
+    /**
+     * Replaces the save file of the running game. Call `loadSaveFiles()` afterwards
+     * to make the core pick it up.
+     */
+    writeSaveFile(data) {
+        const path = this.getSaveFilePath();
+        const paths = path.split("/");
+        let cp = "";
+        for (let i = 0; i < paths.length - 1; i++) {
+            if (paths[i] === "") continue;
+            cp += "/" + paths[i];
+            if (!this.FS.analyzePath(cp).exists) this.FS.mkdir(cp);
+        }
+        if (this.FS.analyzePath(path).exists) this.FS.unlink(path);
+        this.FS.writeFile(path, data);
+    }
     loadSaveFiles() {
         this.clearEJSResetTimer();
         this.functions.loadSaveFiles();
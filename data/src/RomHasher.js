@@ -0,0 +1,376 @@
+/**
+ * Hashes the loaded game file and identifies it against DAT files.
+ *
+ * CRC32, MD5 and SHA-1 are computed in a worker made from `EJS_RomHasher.hasher`
+ * (in the page if workers are not available). The result is kept as
+ * `EJS.romHash` and sent with the `romHashed` event.
+ *
+ * When the embedder sets `EJS_datUrl` (a URL or an array of URLs of No-Intro,
+ * Redump or libretro DAT files, in clrmamepro or Logiqx XML format), the hashes
+ * are looked up there. A match is kept as `EJS.romInfo` and sent with the
+ * `romIdentified` event.
+ */
+class EJS_RomHasher {
+    /**
+     * @param {Object} EJS - The main EmulatorJS instance
+     */
+    constructor(EJS) {
+        this.EJS = EJS;
+        this.dats = null;
+    }
+    /**
+     * @param {Uint8Array} data
+     * @returns {Promise<Object>} `{ crc32, md5, sha1, size }`, hashes as lowercase hex
+     */
+    hash(data) {
+        return new Promise((resolve, reject) => {
+            let worker;
+            try {
+                const blob = new Blob(["(" + EJS_RomHasher.hasher.toString() + ")()"], {
+                    type: "application/javascript"
+                });
+                const url = URL.createObjectURL(blob);
+                worker = new Worker(url);
+                URL.revokeObjectURL(url);
+            } catch(e) {
+                // Blocked by a content security policy, or no workers at all
+                try {
+                    resolve(EJS_RomHasher.hasher()(data));
+                } catch(e) {
+                    reject(e);
+                }
+                return;
+            }
+            worker.onmessage = (e) => {
+                worker.terminate();
+                if (e.data.error) {
+                    reject(new Error(e.data.error));
+                } else {
+                    resolve(e.data);
+                }
+            };
+            worker.onerror = (e) => {
+                worker.terminate();
+                reject(new Error(e.message));
+            };
+            // Sent as a copy, so the buffer can be moved instead of cloned
+            const copy = data.slice();
+            worker.postMessage(copy, [copy.buffer]);
+        });
+    }
+    /**
+     * Hashes the game file in the FS, then looks it up in the DAT files.
+     *
+     * @returns {Promise<Object|null>} The hashes, `null` if there is no game file to hash
+     */
+    async hashRom() {
+        const FS = this.EJS.gameManager.FS;
+        const path = this.EJS.fileName;
+        if (!path || !FS.analyzePath(path).exists) return null;
+        if (FS.stat(path).size > EJS_RomHasher.MAX_SIZE) {
+            if (this.EJS.debug) console.log("Not hashing " + path + ", it is too large");
+            return null;
+        }
+        const hashes = await this.hash(FS.readFile(path));
+        this.EJS.romHash = hashes;
+        this.EJS.callEvent("romHashed", hashes);
+        if (this.EJS.config.datUrl) {
+            const info = await this.identify(hashes);
+            if (info) {
+                this.EJS.romInfo = info;
+                this.EJS.callEvent("romIdentified", info);
+            }
+        }
+        return hashes;
+    }
+    /**
+     * @param {Object} hashes - Result of `hash()`
+     * @returns {Promise<Object|null>} `{ name, title, region, revision, description, dat }` of the matching entry
+     */
+    async identify(hashes) {
+        for (const dat of await this.loadDats()) {
+            const game = dat.index["sha1:" + hashes.sha1] ||
+                         dat.index["md5:" + hashes.md5] ||
+                         dat.index["crc:" + hashes.crc32 + ":" + hashes.size];
+            if (game) return this.describe(game, dat.name);
+        }
+        return null;
+    }
+    loadDats() {
+        if (this.dats) return this.dats;
+        const urls = [].concat(this.EJS.config.datUrl);
+        this.dats = (async () => {
+            const dats = [];
+            for (const url of urls) {
+                const res = await this.EJS.downloadFile(url, null, true, { responseType: "text", method: "GET" });
+                if (res === -1) {
+                    console.warn("Could not download DAT file " + url);
+                    continue;
+                }
+                try {
+                    const games = this.parseDat(res.data);
+                    dats.push({ name: url.split("/").pop(), index: this.indexDat(games) });
+                } catch(e) {
+                    console.warn("Could not read DAT file " + url, e);
+                }
+            }
+            return dats;
+        })();
+        return this.dats;
+    }
+    /**
+     * Reads the games of a clrmamepro or Logiqx XML DAT file.
+     *
+     * @param {string} text
+     * @returns {Object[]} `{ name, description, region, roms: [{ name, size, crc, md5, sha1 }] }`
+     */
+    parseDat(text) {
+        return text.trimStart().startsWith("<") ? this.parseXmlDat(text) : this.parseClrMameDat(text);
+    }
+    parseXmlDat(text) {
+        const games = [];
+        const attributes = (tag) => {
+            const out = {};
+            const re = /([\w-]+)\s*=\s*"([^"]*)"/g;
+            let match;
+            while ((match = re.exec(tag))) out[match[1]] = this.unescapeXml(match[2]);
+            return out;
+        };
+        const gameRe = /<(game|machine)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+        let match;
+        while ((match = gameRe.exec(text))) {
+            const game = attributes(match[2]);
+            const body = match[3];
+            const description = /<description>([\s\S]*?)<\/description>/.exec(body);
+            const region = /<region>([\s\S]*?)<\/region>/.exec(body);
+            const roms = [];
+            const romRe = /<rom\b([^>]*?)\/?>/g;
+            let rom;
+            while ((rom = romRe.exec(body))) roms.push(attributes(rom[1]));
+            games.push({
+                name: game.name,
+                description: description ? this.unescapeXml(description[1]) : null,
+                region: region ? this.unescapeXml(region[1]) : null,
+                roms: roms
+            });
+        }
+        return games;
+    }
+    unescapeXml(text) {
+        return text.replace(/&(lt|gt|quot|apos|amp);/g, (m, entity) => {
+            return { lt: "<", gt: ">", quot: "\"", apos: "'", amp: "&" }[entity];
+        });
+    }
+    parseClrMameDat(text) {
+        const tokens = text.match(/"(?:[^"\\]|\\.)*"|[()]|[^\s()"]+/g) || [];
+        let i = 0;
+        const value = (token) => token.startsWith("\"") ? token.slice(1, -1).replace(/\\(.)/g, "$1") : token;
+        // Reads the key value pairs of a `( ... )` block, nested blocks become arrays of objects
+        const readBlock = () => {
+            const block = {};
+            i++; // (
+            while (i < tokens.length && tokens[i] !== ")") {
+                const key = tokens[i++];
+                if (tokens[i] === "(") {
+                    if (!block[key]) block[key] = [];
+                    block[key].push(readBlock());
+                } else if (i < tokens.length) {
+                    block[key] = value(tokens[i++]);
+                }
+            }
+            i++; // )
+            return block;
+        };
+        const games = [];
+        while (i < tokens.length) {
+            const key = tokens[i++];
+            if (tokens[i] !== "(") continue;
+            const block = readBlock();
+            if (key !== "game" && key !== "machine") continue;
+            games.push({
+                name: block.name,
+                description: block.description || null,
+                region: block.region || null,
+                roms: block.rom || []
+            });
+        }
+        return games;
+    }
+    indexDat(games) {
+        const index = {};
+        for (const game of games) {
+            for (const rom of game.roms) {
+                if (rom.sha1) index["sha1:" + rom.sha1.toLowerCase()] = game;
+                if (rom.md5) index["md5:" + rom.md5.toLowerCase()] = game;
+                if (rom.crc && rom.size) {
+                    index["crc:" + rom.crc.toLowerCase().padStart(8, "0") + ":" + parseInt(rom.size)] = game;
+                }
+            }
+        }
+        return index;
+    }
+    /**
+     * Splits a No-Intro / Redump style name, e.g. `Title (USA, Europe) (Rev 1)`,
+     * into its title, region and revision. Explicit DAT fields win.
+     */
+    describe(game, dat) {
+        const name = game.name || game.description || "";
+        const groups = [];
+        const re = /\(([^)]*)\)/g;
+        let match;
+        while ((match = re.exec(name))) groups.push(match[1]);
+        const revision = groups.find(group => /^(Rev|v)\s?[\w.]+$/i.test(group));
+        const paren = name.indexOf(" (");
+        return {
+            name: name,
+            title: (paren === -1 ? name : name.substring(0, paren)).trim(),
+            region: game.region || groups[0] || null,
+            revision: revision || null,
+            description: game.description || null,
+            dat: dat
+        };
+    }
+}
+/**
+ * Self contained, so its source can run as the hashing worker. Returns the
+ * hash function, which is also used directly when workers are not available.
+ */
+EJS_RomHasher.hasher = function() {
+    const hex = (words, littleEndian) => {
+        let out = "";
+        for (const word of words) {
+            for (let i = 0; i < 4; i++) {
+                const byte = littleEndian ? (word >>> (i * 8)) & 0xFF : (word >>> (24 - i * 8)) & 0xFF;
+                out += byte.toString(16).padStart(2, "0");
+            }
+        }
+        return out;
+    };
+    // Feeds 64 byte blocks to `block`, with the MD5 / SHA-1 padding and bit length at the end
+    const blocks = (data, littleEndian, block) => {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const words = new Array(16);
+        const full = data.byteLength - data.byteLength % 64;
+        for (let offset = 0; offset < full; offset += 64) {
+            for (let i = 0; i < 16; i++) words[i] = view.getUint32(offset + i * 4, littleEndian);
+            block(words);
+        }
+        const tail = new Uint8Array(data.byteLength % 64 < 56 ? 64 : 128);
+        tail.set(data.subarray(full));
+        tail[data.byteLength % 64] = 0x80;
+        const tailView = new DataView(tail.buffer);
+        const bits = data.byteLength * 8;
+        const low = bits >>> 0;
+        const high = Math.floor(bits / 0x100000000);
+        tailView.setUint32(tail.byteLength - (littleEndian ? 8 : 4), low, littleEndian);
+        tailView.setUint32(tail.byteLength - (littleEndian ? 4 : 8), high, littleEndian);
+        for (let offset = 0; offset < tail.byteLength; offset += 64) {
+            for (let i = 0; i < 16; i++) words[i] = tailView.getUint32(offset + i * 4, littleEndian);
+            block(words);
+        }
+    };
+    const crc32 = (data) => {
+        const table = new Uint32Array(256);
+        for (let i = 0; i < 256; i++) {
+            let c = i;
+            for (let j = 0; j < 8; j++) c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            table[i] = c >>> 0;
+        }
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) crc = table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, "0");
+    };
+    const md5 = (data) => {
+        const S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+        const K = [];
+        for (let i = 0; i < 64; i++) K[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0;
+        const h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476];
+        blocks(data, true, (w) => {
+            let [a, b, c, d] = h;
+            for (let i = 0; i < 64; i++) {
+                let f, g;
+                if (i < 16) {
+                    f = (b & c) | (~b & d);
+                    g = i;
+                } else if (i < 32) {
+                    f = (d & b) | (~d & c);
+                    g = (5 * i + 1) % 16;
+                } else if (i < 48) {
+                    f = b ^ c ^ d;
+                    g = (3 * i + 5) % 16;
+                } else {
+                    f = c ^ (b | ~d);
+                    g = (7 * i) % 16;
+                }
+                const s = S[(i >> 4) * 4 + (i % 4)];
+                const x = (a + f + K[i] + w[g]) | 0;
+                a = d;
+                d = c;
+                c = b;
+                b = (b + ((x << s) | (x >>> (32 - s)))) | 0;
+            }
+            h[0] = (h[0] + a) | 0;
+            h[1] = (h[1] + b) | 0;
+            h[2] = (h[2] + c) | 0;
+            h[3] = (h[3] + d) | 0;
+        });
+        return hex(h, true);
+    };
+    const sha1 = (data) => {
+        const h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0];
+        const w = new Int32Array(80);
+        blocks(data, false, (words) => {
+            for (let i = 0; i < 16; i++) w[i] = words[i];
+            for (let i = 16; i < 80; i++) {
+                const x = w[i - 3] ^ w[i - 8] ^ w[i - 14] ^ w[i - 16];
+                w[i] = (x << 1) | (x >>> 31);
+            }
+            let [a, b, c, d, e] = h;
+            for (let i = 0; i < 80; i++) {
+                let f, k;
+                if (i < 20) {
+                    f = (b & c) | (~b & d);
+                    k = 0x5A827999;
+                } else if (i < 40) {
+                    f = b ^ c ^ d;
+                    k = 0x6ED9EBA1;
+                } else if (i < 60) {
+                    f = (b & c) | (b & d) | (c & d);
+                    k = 0x8F1BBCDC;
+                } else {
+                    f = b ^ c ^ d;
+                    k = 0xCA62C1D6;
+                }
+                const t = (((a << 5) | (a >>> 27)) + f + e + k + w[i]) | 0;
+                e = d;
+                d = c;
+                c = (b << 30) | (b >>> 2);
+                b = a;
+                a = t;
+            }
+            h[0] = (h[0] + a) | 0;
+            h[1] = (h[1] + b) | 0;
+            h[2] = (h[2] + c) | 0;
+            h[3] = (h[3] + d) | 0;
+            h[4] = (h[4] + e) | 0;
+        });
+        return hex(h, false);
+    };
+    const hash = (data) => {
+        data = new Uint8Array(data);
+        return { crc32: crc32(data), md5: md5(data), sha1: sha1(data), size: data.byteLength };
+    };
+    if (typeof WorkerGlobalScope !== "undefined" && self instanceof WorkerGlobalScope) {
+        onmessage = (e) => {
+            try {
+                postMessage(hash(e.data));
+            } catch(error) {
+                postMessage({ error: error.message });
+            }
+        };
+    }
+    return hash;
+};
+EJS_RomHasher.MAX_SIZE = 536870912;
+
+window.EJS_RomHasher = EJS_RomHasher;
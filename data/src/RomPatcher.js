@@ -0,0 +1,423 @@
+/**
+ * Error thrown by EJS_RomPatcher. `type` is one of the `EJS_PatchError.*`
+ * constants, so a wrong base ROM can be told apart from a broken patch.
+ */
+class EJS_PatchError extends Error {
+    constructor(type, message) {
+        super(message);
+        this.name = "EJS_PatchError";
+        this.type = type;
+    }
+}
+EJS_PatchError.UNSUPPORTED = "unsupported";
+EJS_PatchError.INVALID = "invalid";
+EJS_PatchError.SOURCE_MISMATCH = "source_mismatch";
+EJS_PatchError.TARGET_MISMATCH = "target_mismatch";
+
+/**
+ * Applies IPS, UPS, BPS and xdelta (VCDIFF) patches to a ROM in JavaScript,
+ * so patches work with cores that can not soft-patch themselves.
+ *
+ * UPS and BPS patches carry CRC32s of the ROM they were made for and of the
+ * result, both are checked. xdelta patches are checked with their Adler-32
+ * window checksums when present. xdelta patches made with secondary
+ * compression (`xdelta3 -S`) are not supported.
+ */
+class EJS_RomPatcher {
+    /**
+     * @param {Object} EJS - The main EmulatorJS instance
+     */
+    constructor(EJS) {
+        this.EJS = EJS;
+    }
+    /**
+     * @param {Uint8Array} patch
+     * @returns {string|null} "ips", "ups", "bps", "vcdiff" or null if not a known patch format
+     */
+    getFormat(patch) {
+        const magic = String.fromCharCode(...patch.subarray(0, 5));
+        if (magic === "PATCH") return "ips";
+        if (magic.startsWith("UPS1")) return "ups";
+        if (magic.startsWith("BPS1")) return "bps";
+        if (patch[0] === 0xD6 && patch[1] === 0xC3 && patch[2] === 0xC4) return "vcdiff";
+        return null;
+    }
+    /**
+     * Applies several patches in order, each one to the result of the previous one.
+     *
+     * @param {Uint8Array} rom
+     * @param {Uint8Array[]} patches
+     * @returns {Uint8Array} The patched ROM
+     * @throws {EJS_PatchError}
+     */
+    applyAll(rom, patches) {
+        for (const patch of patches) {
+            rom = this.apply(rom, patch);
+        }
+        return rom;
+    }
+    /**
+     * @param {Uint8Array} rom
+     * @param {Uint8Array} patch
+     * @returns {Uint8Array} The patched ROM
+     * @throws {EJS_PatchError}
+     */
+    apply(rom, patch) {
+        switch (this.getFormat(patch)) {
+            case "ips":
+                return this.applyIps(rom, patch);
+            case "ups":
+                return this.applyUps(rom, patch);
+            case "bps":
+                return this.applyBps(rom, patch);
+            case "vcdiff":
+                return this.applyVcdiff(rom, patch);
+            default:
+                throw new EJS_PatchError(EJS_PatchError.UNSUPPORTED, "Unknown patch format");
+        }
+    }
+    crc32(data) {
+        if (!this.EJS.compression) {
+            this.EJS.compression = new window.EJS_COMPRESSION(this.EJS);
+        }
+        return this.EJS.compression.crc32(data);
+    }
+    checkEnd(patch, offset) {
+        if (offset > patch.byteLength) {
+            throw new EJS_PatchError(EJS_PatchError.INVALID, "The patch ends unexpectedly");
+        }
+    }
+    applyIps(rom, patch) {
+        let out = rom.slice();
+        const grow = (size) => {
+            if (size <= out.byteLength) return;
+            const bigger = new Uint8Array(size);
+            bigger.set(out);
+            out = bigger;
+        };
+        let offset = 5;
+        while (offset + 3 <= patch.byteLength) {
+            if (patch[offset] === 0x45 && patch[offset + 1] === 0x4F && patch[offset + 2] === 0x46) { // EOF
+                offset += 3;
+                // Optional truncation size after EOF
+                if (offset + 3 <= patch.byteLength) {
+                    const size = (patch[offset] << 16) | (patch[offset + 1] << 8) | patch[offset + 2];
+                    if (size < out.byteLength) out = out.slice(0, size);
+                }
+                return out;
+            }
+            const address = (patch[offset] << 16) | (patch[offset + 1] << 8) | patch[offset + 2];
+            let size = (patch[offset + 3] << 8) | patch[offset + 4];
+            offset += 5;
+            if (size === 0) {
+                // RLE record
+                this.checkEnd(patch, offset + 3);
+                size = (patch[offset] << 8) | patch[offset + 1];
+                grow(address + size);
+                out.fill(patch[offset + 2], address, address + size);
+                offset += 3;
+            } else {
+                this.checkEnd(patch, offset + size);
+                grow(address + size);
+                out.set(patch.subarray(offset, offset + size), address);
+                offset += size;
+            }
+        }
+        throw new EJS_PatchError(EJS_PatchError.INVALID, "The IPS patch has no end marker");
+    }
+    /**
+     * Reads the footer shared by UPS and BPS: source, target and patch CRC32,
+     * and checks the patch itself and the ROM it is applied to.
+     */
+    readChecksums(rom, patch, format) {
+        const view = new DataView(patch.buffer, patch.byteOffset, patch.byteLength);
+        const end = patch.byteLength - 12;
+        const checksums = {
+            source: view.getUint32(end, true),
+            target: view.getUint32(end + 4, true),
+            patch: view.getUint32(end + 8, true)
+        };
+        if (this.crc32(patch.subarray(0, end + 8)) !== checksums.patch) {
+            throw new EJS_PatchError(EJS_PatchError.INVALID, "The " + format + " patch is corrupted");
+        }
+        if (this.crc32(rom) !== checksums.source) {
+            throw new EJS_PatchError(EJS_PatchError.SOURCE_MISMATCH, "The game file is not the one the " + format + " patch was made for");
+        }
+        return checksums;
+    }
+    checkTarget(out, checksums, format) {
+        if (this.crc32(out) !== checksums.target) {
+            throw new EJS_PatchError(EJS_PatchError.TARGET_MISMATCH, "The " + format + " patch did not produce the expected game file");
+        }
+    }
+    applyUps(rom, patch) {
+        const checksums = this.readChecksums(rom, patch, "UPS");
+        const end = patch.byteLength - 12;
+        let offset = 4;
+        const number = () => {
+            let value = 0, shift = 1;
+            while (true) {
+                this.checkEnd(patch, offset + 1);
+                const x = patch[offset++];
+                value += (x & 0x7F) * shift;
+                if (x & 0x80) return value;
+                shift *= 128;
+                value += shift;
+            }
+        };
+        const sourceSize = number();
+        const targetSize = number();
+        if (sourceSize !== rom.byteLength) {
+            throw new EJS_PatchError(EJS_PatchError.SOURCE_MISMATCH, "The game file is not the one the UPS patch was made for");
+        }
+        const out = new Uint8Array(targetSize);
+        out.set(rom.subarray(0, Math.min(rom.byteLength, targetSize)));
+        let position = 0;
+        while (offset < end) {
+            position += number();
+            while (offset < end) {
+                const x = patch[offset++];
+                if (x === 0) {
+                    position++;
+                    break;
+                }
+                if (position < targetSize) out[position] ^= x;
+                position++;
+            }
+        }
+        this.checkTarget(out, checksums, "UPS");
+        return out;
+    }
+    applyBps(rom, patch) {
+        const checksums = this.readChecksums(rom, patch, "BPS");
+        const end = patch.byteLength - 12;
+        let offset = 4;
+        const number = () => {
+            let value = 0, shift = 1;
+            while (true) {
+                this.checkEnd(patch, offset + 1);
+                const x = patch[offset++];
+                value += (x & 0x7F) * shift;
+                if (x & 0x80) return value;
+                shift *= 128;
+                value += shift;
+            }
+        };
+        const sourceSize = number();
+        const targetSize = number();
+        const metadataSize = number();
+        offset += metadataSize;
+        if (sourceSize !== rom.byteLength) {
+            throw new EJS_PatchError(EJS_PatchError.SOURCE_MISMATCH, "The game file is not the one the BPS patch was made for");
+        }
+        const out = new Uint8Array(targetSize);
+        let outOffset = 0, sourceOffset = 0, targetOffset = 0;
+        while (offset < end) {
+            const data = number();
+            const command = data % 4;
+            let length = Math.floor(data / 4) + 1;
+            if (outOffset + length > targetSize) {
+                throw new EJS_PatchError(EJS_PatchError.INVALID, "The BPS patch writes past the end of the game file");
+            }
+            if (command === 0) { // SourceRead
+                out.set(rom.subarray(outOffset, outOffset + length), outOffset);
+                outOffset += length;
+            } else if (command === 1) { // TargetRead
+                this.checkEnd(patch, offset + length);
+                out.set(patch.subarray(offset, offset + length), outOffset);
+                offset += length;
+                outOffset += length;
+            } else if (command === 2) { // SourceCopy
+                const relative = number();
+                sourceOffset += (relative % 2 ? -1 : 1) * Math.floor(relative / 2);
+                out.set(rom.subarray(sourceOffset, sourceOffset + length), outOffset);
+                sourceOffset += length;
+                outOffset += length;
+            } else { // TargetCopy, may overlap the bytes being written
+                const relative = number();
+                targetOffset += (relative % 2 ? -1 : 1) * Math.floor(relative / 2);
+                while (length--) out[outOffset++] = out[targetOffset++];
+            }
+        }
+        this.checkTarget(out, checksums, "BPS");
+        return out;
+    }
+    adler32(data) {
+        let a = 1, b = 0;
+        for (let i = 0; i < data.byteLength; i += 5552) {
+            const end = Math.min(i + 5552, data.byteLength);
+            for (let j = i; j < end; j++) {
+                a += data[j];
+                b += a;
+            }
+            a %= 65521;
+            b %= 65521;
+        }
+        return ((b << 16) | a) >>> 0;
+    }
+    /**
+     * Decodes a VCDIFF (RFC 3284) delta as written by xdelta3, with the default
+     * code table and without secondary compression.
+     */
+    applyVcdiff(rom, patch) {
+        let offset = 4;
+        const byte = () => {
+            this.checkEnd(patch, offset + 1);
+            return patch[offset++];
+        };
+        const number = () => {
+            let value = 0, x;
+            do {
+                x = byte();
+                value = value * 128 + (x & 0x7F);
+            } while (x & 0x80);
+            return value;
+        };
+        const header = byte();
+        if (header & 0x01) {
+            throw new EJS_PatchError(EJS_PatchError.UNSUPPORTED, "xdelta patches with secondary compression are not supported");
+        }
+        if (header & 0x02) {
+            throw new EJS_PatchError(EJS_PatchError.UNSUPPORTED, "xdelta patches with a custom code table are not supported");
+        }
+        if (header & 0x04) {
+            // Application header, xdelta3 stores the file names there
+            const headerSize = number();
+            offset += headerSize;
+        }
+
+        const table = EJS_RomPatcher.getVcdiffCodeTable();
+        let out = new Uint8Array(Math.max(rom.byteLength, 1024));
+        let outSize = 0;
+        while (offset < patch.byteLength) {
+            const indicator = byte();
+            let segment = null;
+            if (indicator & 0x03) {
+                const size = number();
+                const position = number();
+                if (indicator & 0x01) {
+                    if (position + size > rom.byteLength) {
+                        throw new EJS_PatchError(EJS_PatchError.SOURCE_MISMATCH, "The game file is smaller than the xdelta patch expects");
+                    }
+                    segment = rom.subarray(position, position + size);
+                } else {
+                    segment = out.slice(position, position + size);
+                }
+            }
+            number(); // length of the delta encoding
+            const windowSize = number();
+            if (byte() !== 0) {
+                throw new EJS_PatchError(EJS_PatchError.UNSUPPORTED, "xdelta patches with secondary compression are not supported");
+            }
+            const dataLength = number();
+            const instructionsLength = number();
+            const addressesLength = number();
+            let checksum = null;
+            if (indicator & 0x04) {
+                this.checkEnd(patch, offset + 4);
+                checksum = ((patch[offset] << 24) | (patch[offset + 1] << 16) | (patch[offset + 2] << 8) | patch[offset + 3]) >>> 0;
+                offset += 4;
+            }
+            let dataOffset = offset;
+            let instructionOffset = dataOffset + dataLength;
+            let addressOffset = instructionOffset + instructionsLength;
+            offset = addressOffset + addressesLength;
+            this.checkEnd(patch, offset);
+            const instructionsEnd = addressOffset;
+
+            const sectionNumber = (section) => {
+                let value = 0, x;
+                do {
+                    x = patch[section.offset++];
+                    value = value * 128 + (x & 0x7F);
+                } while (x & 0x80);
+                return value;
+            };
+            const target = new Uint8Array(windowSize);
+            const segmentSize = segment ? segment.byteLength : 0;
+            const near = [0, 0, 0, 0];
+            const same = new Array(3 * 256).fill(0);
+            let nextNear = 0;
+            let targetSize = 0;
+            const instructions = { offset: instructionOffset };
+            const addresses = { offset: addressOffset };
+            const run = (type, size, mode) => {
+                if (type === 0) return;
+                if (size === 0) size = sectionNumber(instructions);
+                if (targetSize + size > windowSize) {
+                    throw new EJS_PatchError(EJS_PatchError.INVALID, "The xdelta patch writes past the end of a window");
+                }
+                if (type === 1) { // ADD
+                    target.set(patch.subarray(dataOffset, dataOffset + size), targetSize);
+                    dataOffset += size;
+                    targetSize += size;
+                } else if (type === 2) { // RUN
+                    target.fill(patch[dataOffset++], targetSize, targetSize + size);
+                    targetSize += size;
+                } else { // COPY
+                    const here = segmentSize + targetSize;
+                    let address;
+                    if (mode === 0) {
+                        address = sectionNumber(addresses);
+                    } else if (mode === 1) {
+                        address = here - sectionNumber(addresses);
+                    } else if (mode < 6) {
+                        address = near[mode - 2] + sectionNumber(addresses);
+                    } else {
+                        address = same[(mode - 6) * 256 + patch[addresses.offset++]];
+                    }
+                    near[nextNear] = address;
+                    nextNear = (nextNear + 1) % 4;
+                    same[address % (3 * 256)] = address;
+                    for (let i = 0; i < size; i++) {
+                        const from = address + i;
+                        target[targetSize++] = from < segmentSize ? segment[from] : target[from - segmentSize];
+                    }
+                }
+            };
+            while (instructions.offset < instructionsEnd) {
+                const code = table[patch[instructions.offset++]];
+                run(code[0], code[1], code[2]);
+                run(code[3], code[4], code[5]);
+            }
+            if (checksum !== null && this.adler32(target) !== checksum) {
+                throw new EJS_PatchError(EJS_PatchError.TARGET_MISMATCH, "The xdelta patch did not produce the expected game file");
+            }
+            if (outSize + windowSize > out.byteLength) {
+                const bigger = new Uint8Array(Math.max(out.byteLength * 2, outSize + windowSize));
+                bigger.set(out.subarray(0, outSize));
+                out = bigger;
+            }
+            out.set(target, outSize);
+            outSize += windowSize;
+        }
+        return out.slice(0, outSize);
+    }
+    /**
+     * The default VCDIFF instruction table (RFC 3284 section 5.6), as
+     * `[type1, size1, mode1, type2, size2, mode2]` with types
+     * 0 NOOP, 1 ADD, 2 RUN and 3 COPY.
+     */
+    static getVcdiffCodeTable() {
+        if (EJS_RomPatcher.codeTable) return EJS_RomPatcher.codeTable;
+        const table = [[2, 0, 0, 0, 0, 0]];
+        for (let size = 0; size <= 17; size++) table.push([1, size, 0, 0, 0, 0]);
+        for (let mode = 0; mode <= 8; mode++) {
+            table.push([3, 0, mode, 0, 0, 0]);
+            for (let size = 4; size <= 18; size++) table.push([3, size, mode, 0, 0, 0]);
+        }
+        for (let mode = 0; mode <= 8; mode++) {
+            for (let addSize = 1; addSize <= 4; addSize++) {
+                for (let copySize = 4; copySize <= (mode < 6 ? 6 : 4); copySize++) {
+                    table.push([1, addSize, 0, 3, copySize, mode]);
+                }
+            }
+        }
+        for (let mode = 0; mode <= 8; mode++) table.push([3, 4, mode, 1, 1, 0]);
+        EJS_RomPatcher.codeTable = table;
+        return table;
+    }
+}
+
+window.EJS_PatchError = EJS_PatchError;
+window.EJS_RomPatcher = EJS_RomPatcher;
@@ -0,0 +1,223 @@
+/**
+ * Converts save files between the formats of other emulators and the format
+ * the running core expects.
+ *
+ * Imports are detected by size, signature and file extension:
+ * - NDS: DeSmuME `.dsv` (raw save + 122 byte footer) for melonDS, which only reads raw saves
+ * - N64: separate `.eep`, `.sra`, `.fla` and `.mpk` files are merged into the combined
+ *   save of the libretro N64 cores. SRAM and FlashRAM are stored 32-bit word swapped there.
+ * - GBA: saves with padding or a trailing RTC block are cut or padded to a valid size
+ * - PSX: DexDrive `.gme` and PSP `.vmp` memory cards are reduced to the raw card
+ *
+ * Exports offer the same formats for the active system: GBA saves cut to a
+ * valid size, and raw and DexDrive cards for PSX. PSP `.vmp` cards are not
+ * exported, the PSP only takes them with a signature made with its own keys.
+ */
+class EJS_SaveConverter {
+    /**
+     * @param {Object} EJS - The main EmulatorJS instance
+     */
+    constructor(EJS) {
+        this.EJS = EJS;
+    }
+    /**
+     * Normalizes an imported save for the active core.
+     *
+     * @param {Uint8Array} data - The imported file
+     * @param {string} [fileName] - Name of the imported file, its extension helps detection
+     * @param {Uint8Array|null} [current] - The current save, sections that are not imported are kept from it
+     * @returns {Uint8Array} The save to write to `getSaveFilePath()`
+     */
+    importSave(data, fileName, current) {
+        const ext = (fileName || "").split(".").pop().toLowerCase();
+        switch (this.EJS.getCore(true)) {
+            case "nds":
+                if (this.EJS.getCore() === "melonds" && this.isDsv(data)) {
+                    return data.slice(0, data.byteLength - EJS_SaveConverter.DSV_FOOTER_SIZE);
+                }
+                return data;
+            case "n64":
+                return this.importN64(data, ext, current);
+            case "gba":
+                return this.fixGbaSize(data);
+            case "psx":
+                return this.importMemoryCard(data);
+            default:
+                return data;
+        }
+    }
+    /**
+     * @returns {Object[]} `{ id, name, ext }` of every format the current save can be exported as
+     */
+    getExportFormats() {
+        const base = this.EJS.gameManager.getSaveFilePath().split(".").pop();
+        const native = { id: "native", name: "Default", ext: base };
+        switch (this.EJS.getCore(true)) {
+            case "nds":
+                return [
+                    native,
+                    { id: "raw", name: "Raw (melonDS, flash carts)", ext: "sav" },
+                    { id: "dsv", name: "DeSmuME", ext: "dsv" }
+                ];
+            case "n64":
+                return [native].concat(Object.keys(EJS_SaveConverter.N64_SECTIONS).map(ext => ({
+                    id: ext,
+                    name: EJS_SaveConverter.N64_SECTIONS[ext].name,
+                    ext: ext
+                })));
+            case "gba":
+                return [native, { id: "gba", name: "Raw (valid size)", ext: "sav" }];
+            case "psx":
+                return [
+                    native,
+                    { id: "mcr", name: "Raw memory card", ext: "mcr" },
+                    { id: "gme", name: "DexDrive", ext: "gme" }
+                ];
+            default:
+                return [native];
+        }
+    }
+    /**
+     * @param {Uint8Array} data - The current save
+     * @param {string} id - A format id from `getExportFormats()`
+     * @returns {Uint8Array|null} The converted save, `null` if the save has no such part
+     */
+    exportSave(data, id) {
+        if (id === "raw") {
+            return this.isDsv(data) ? data.slice(0, data.byteLength - EJS_SaveConverter.DSV_FOOTER_SIZE) : data;
+        } else if (id === "dsv") {
+            return this.isDsv(data) ? data : this.createDsv(data);
+        } else if (EJS_SaveConverter.N64_SECTIONS[id]) {
+            return this.exportN64(data, id);
+        } else if (id === "gba") {
+            return this.fixGbaSize(data);
+        } else if (id === "mcr") {
+            return this.importMemoryCard(data);
+        } else if (id === "gme") {
+            return this.createGme(this.importMemoryCard(data));
+        }
+        return data;
+    }
+    isDsv(data) {
+        if (data.byteLength < EJS_SaveConverter.DSV_FOOTER_SIZE) return false;
+        const cookie = new TextDecoder().decode(data.subarray(data.byteLength - 16));
+        return cookie === EJS_SaveConverter.DSV_COOKIE;
+    }
+    createDsv(data) {
+        const encoder = new TextEncoder();
+        const text = encoder.encode(EJS_SaveConverter.DSV_FOOTER_TEXT);
+        const out = new Uint8Array(data.byteLength + EJS_SaveConverter.DSV_FOOTER_SIZE);
+        out.set(data, 0);
+        out.set(text, data.byteLength);
+        const view = new DataView(out.buffer, data.byteLength + text.byteLength, 24);
+        const addrSize = (data.byteLength <= 512) ? 1 : (data.byteLength <= 65536) ? 2 : 3;
+        view.setUint32(0, data.byteLength, true); // actual size
+        view.setUint32(4, data.byteLength, true); // padded size
+        view.setUint32(8, 0, true); // save type, 0 lets DeSmuME detect it
+        view.setUint32(12, addrSize, true);
+        view.setUint32(16, data.byteLength, true); // memory size
+        view.setUint32(20, 0, true); // footer version
+        out.set(encoder.encode(EJS_SaveConverter.DSV_COOKIE), out.byteLength - 16);
+        return out;
+    }
+    /**
+     * Finds the section of the combined N64 save an imported file belongs to.
+     * A 32 KB file is SRAM unless it is called `.mpk`.
+     */
+    getN64Section(data, ext) {
+        if (EJS_SaveConverter.N64_SECTIONS[ext]) return ext;
+        if (data.byteLength === 512 || data.byteLength === 2048) return "eep";
+        if (data.byteLength === 0x8000) return "sra";
+        if (data.byteLength === 0x20000) return "fla";
+        return null;
+    }
+    importN64(data, ext, current) {
+        if (data.byteLength === EJS_SaveConverter.N64_SIZE) return data;
+        const section = this.getN64Section(data, ext);
+        if (!section) return data;
+        const info = EJS_SaveConverter.N64_SECTIONS[section];
+        let out;
+        if (current && current.byteLength === EJS_SaveConverter.N64_SIZE) {
+            out = current.slice();
+        } else {
+            out = new Uint8Array(EJS_SaveConverter.N64_SIZE).fill(0xFF);
+        }
+        const part = data.slice(0, info.size);
+        out.fill(0xFF, info.offset, info.offset + info.size);
+        out.set(info.swap ? this.swap32(part) : part, info.offset);
+        return out;
+    }
+    exportN64(data, ext) {
+        if (data.byteLength !== EJS_SaveConverter.N64_SIZE) return null;
+        const info = EJS_SaveConverter.N64_SECTIONS[ext];
+        const part = data.slice(info.offset, info.offset + info.size);
+        return info.swap ? this.swap32(part) : part;
+    }
+    swap32(data) {
+        const out = new Uint8Array(data.byteLength);
+        for (let i = 0; i + 3 < data.byteLength; i += 4) {
+            out[i] = data[i + 3];
+            out[i + 1] = data[i + 2];
+            out[i + 2] = data[i + 1];
+            out[i + 3] = data[i];
+        }
+        return out;
+    }
+    /**
+     * Cuts extra bytes (e.g. a 16 byte RTC block) or pads with 0xFF up to the
+     * nearest valid GBA save size.
+     */
+    fixGbaSize(data) {
+        const sizes = EJS_SaveConverter.GBA_SIZES;
+        if (sizes.includes(data.byteLength)) return data;
+        const smaller = sizes.filter(size => size < data.byteLength).pop();
+        if (smaller && data.byteLength - smaller <= 32) return data.slice(0, smaller);
+        const larger = sizes.find(size => size > data.byteLength);
+        if (!larger) return data;
+        const out = new Uint8Array(larger).fill(0xFF);
+        out.set(data, 0);
+        return out;
+    }
+    importMemoryCard(data) {
+        const size = 0x20000;
+        if (data.byteLength === size + 3904 && new TextDecoder().decode(data.subarray(0, 11)) === "123-456-STD") {
+            return data.slice(3904);
+        }
+        if (data.byteLength === size + 0x80 && data[1] === 0x50 && data[2] === 0x4D && data[3] === 0x56) {
+            return data.slice(0x80);
+        }
+        return data;
+    }
+    /**
+     * Adds the 3904 byte DexDrive header to a raw memory card. The header
+     * repeats the first and ninth byte of the 15 directory frames, the save
+     * comments after them are left empty.
+     */
+    createGme(data) {
+        if (data.byteLength !== 0x20000) return null;
+        const out = new Uint8Array(3904 + data.byteLength);
+        out.set(new TextEncoder().encode("123-456-STD"), 0);
+        out[18] = 0x01;
+        out[20] = 0x01;
+        out[21] = 0x4D;
+        for (let i = 0; i < 15; i++) {
+            out[22 + i] = data[(i + 1) * 128];
+            out[38 + i] = data[(i + 1) * 128 + 8];
+        }
+        out.set(data, 3904);
+        return out;
+    }
+}
+EJS_SaveConverter.DSV_FOOTER_TEXT = "|<--Snip above here to create a raw sav by excluding this DeSmuME savedata footer:";
+EJS_SaveConverter.DSV_COOKIE = "|-DESMUME SAVE-|";
+EJS_SaveConverter.DSV_FOOTER_SIZE = 122;
+EJS_SaveConverter.N64_SIZE = 0x48800;
+EJS_SaveConverter.N64_SECTIONS = {
+    eep: { name: "EEPROM", offset: 0, size: 0x800, swap: false },
+    mpk: { name: "Controller Pak", offset: 0x800, size: 0x8000, swap: false },
+    sra: { name: "SRAM", offset: 0x20800, size: 0x8000, swap: true },
+    fla: { name: "FlashRAM", offset: 0x28800, size: 0x20000, swap: true }
+};
+EJS_SaveConverter.GBA_SIZES = [512, 8192, 32768, 65536, 131072];
+
+window.EJS_SaveConverter = EJS_SaveConverter;
@@ -0,0 +1,100 @@
+/**
+ * Keeps the last few distinct versions of the game's SRAM, so a bad autosave
+ * (a crash, a corrupted write) can be rolled back.
+ *
+ * Every time the save files are written (`saveSaveFiles` event) the SRAM is
+ * checksummed. Unchanged SRAM is not stored again; SRAM that matches an older
+ * snapshot only moves that snapshot to the top. Snapshots live in IndexedDB
+ * under `<game>/<checksum>`, only the newest `EJS_saveHistorySize` (default 10)
+ * of each game are kept.
+ */
+class EJS_SaveHistory {
+    /**
+     * @param {Object} EJS - The main EmulatorJS instance
+     */
+    constructor(EJS) {
+        this.EJS = EJS;
+        this.size = (typeof EJS.config.saveHistorySize === "number") ? EJS.config.saveHistorySize : 10;
+        if (EJS.config.disableDatabases) {
+            this.storage = new window.EJS_DUMMYSTORAGE();
+        } else {
+            this.storage = new window.EJS_STORAGE("EmulatorJS-saves", "history");
+        }
+        this.latest = null;
+        this.queue = Promise.resolve();
+        this.EJS.on("saveSaveFiles", (data) => {
+            if (!data || this.size <= 0) return;
+            // Copy now, the FS buffer may change before the snapshot is stored
+            const sram = data.slice();
+            this.queue = this.queue.then(() => this.add(sram)).catch(e => this.EJS.storageError(e));
+        });
+    }
+    getPrefix() {
+        return this.EJS.getBaseFileName() + "/";
+    }
+    getChecksum(data) {
+        if (!this.EJS.compression) {
+            this.EJS.compression = new window.EJS_COMPRESSION(this.EJS);
+        }
+        return this.EJS.compression.crc32(data).toString(16).padStart(8, "0") + "-" + data.byteLength;
+    }
+    /**
+     * @returns {Promise<Object[]>} `{ key, checksum, date, data }` for every snapshot of this game, newest first
+     */
+    async list() {
+        const prefix = this.getPrefix();
+        const snapshots = [];
+        for (const key of await this.storage.getKeys()) {
+            if (!key.startsWith(prefix)) continue;
+            const snapshot = await this.storage.get(key);
+            if (!snapshot) continue;
+            snapshot.key = key;
+            snapshots.push(snapshot);
+        }
+        return snapshots.sort((a, b) => b.date - a.date);
+    }
+    /**
+     * Stores a snapshot of the SRAM unless it equals the newest one, and drops
+     * the oldest snapshots over the limit.
+     *
+     * @param {Uint8Array} data - The SRAM
+     * @returns {Promise<boolean>} Whether a new snapshot was made
+     */
+    async add(data) {
+        const checksum = this.getChecksum(data);
+        if (checksum === this.latest) return false;
+        const snapshots = await this.list();
+        if (snapshots.length > 0 && snapshots[0].checksum === checksum) {
+            this.latest = checksum;
+            return false;
+        }
+        const operations = [{
+            type: "put",
+            key: this.getPrefix() + checksum,
+            data: { checksum: checksum, date: Date.now(), data: data }
+        }];
+        const older = snapshots.filter(snapshot => snapshot.checksum !== checksum);
+        for (const snapshot of older.slice(this.size - 1)) {
+            operations.push({ type: "remove", key: snapshot.key });
+        }
+        await this.storage.batch(operations);
+        this.latest = checksum;
+        return true;
+    }
+    /**
+     * Replaces the current SRAM with a snapshot. The current SRAM is added to
+     * the history first, so the restore itself can be undone.
+     */
+    async restore(snapshot) {
+        this.EJS.gameManager.saveSaveFiles();
+        await this.queue;
+        this.EJS.gameManager.writeSaveFile(snapshot.data);
+        this.EJS.gameManager.loadSaveFiles();
+        await this.add(snapshot.data);
+    }
+    remove(snapshot) {
+        return this.storage.remove(snapshot.key);
+    }
+}
+
+window.EJS_SaveHistory = EJS_SaveHistory;
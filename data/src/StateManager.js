@@ -0,0 +1,649 @@
+/**
+ * Keeps track of the save states of the running game.
+ *
+ * Browser states are stored in `storage.states` under RetroArch style keys
+ * (`<game>.state`, `<game>.state1`, ...), so slot 0 is the key that older
+ * versions of EmulatorJS wrote to. Each slot holds a record with the state,
+ * a thumbnail and some information about when and where it was made.
+ * Quick save slots only live in the Emscripten FS and are listed alongside.
+ * Auto states are taken periodically into a small ring of reserved keys
+ * (`<game>.auto<n>`) and are listed after the slots.
+ */
+class EJS_StateManager {
+    /**
+     * @param {Object} EJS - The main EmulatorJS instance
+     */
+    constructor(EJS) {
+        this.EJS = EJS;
+        this.slotCount = 9;
+        this.autoStateDepth = 10;
+        this.playTime = 0;
+        this.quickSaves = {};
+        this.EJS.on("start", () => {
+            this.hashRom();
+            this.playTimeInterval = setInterval(() => {
+                if (!this.EJS.paused) this.playTime++;
+            }, 1000);
+            if (this.EJS.resumeOnStart) {
+                setTimeout(() => {
+                    this.loadResume();
+                }, 10);
+            }
+            this.EJS.addEventListener(document, "visibilitychange", () => {
+                if (document.visibilityState === "hidden") this.saveResume();
+            });
+            this.EJS.addEventListener(window, "pagehide", () => {
+                this.saveResume();
+            });
+        });
+        // Registered before the game manager's exit handler, which resets the core
+        this.EJS.on("exit", () => {
+            clearInterval(this.playTimeInterval);
+            clearInterval(this.autoStateInterval);
+            this.saveResume();
+            this.exited = true;
+        });
+        this.EJS.on("quickSave", async (slot) => {
+            this.quickSaves[slot] = {
+                date: Date.now(),
+                core: this.EJS.getCore(),
+                playTime: this.playTime,
+                ...(await this.getThumbnail())
+            };
+        });
+    }
+    getSlotKey(slot) {
+        return this.EJS.getBaseFileName() + ".state" + (slot > 0 ? slot : "");
+    }
+    /**
+     * Key of the automatic resume state. Unlike the slot keys it only depends on
+     * the config, so it is the same on the start screen (before the game file
+     * is known) and after the game is loaded. It does not end in `.state<n>`,
+     * so it can never be one of the manual slots.
+     */
+    getResumeKey() {
+        if (!this.resumeKey) this.resumeKey = this.EJS.getBaseFileName(true) + ".resume";
+        return this.resumeKey;
+    }
+    resumeEnabled() {
+        if (!this.EJS.saveInBrowserSupported()) return false;
+        const setting = this.EJS.started ? this.EJS.getSettingValue("save-resume") : this.EJS.preGetSetting("save-resume");
+        if (setting) return setting === "enabled";
+        return this.EJS.config.resume === true;
+    }
+    /**
+     * @returns {Promise<Object|null>} The resume record, if there is one for the current core
+     */
+    async getResume() {
+        if (!this.resumeEnabled()) return null;
+        try {
+            const record = await this.EJS.storage.states.get(this.getResumeKey());
+            if (!record || record.core !== this.EJS.getCore()) return null;
+            return record;
+        } catch(e) {
+            console.warn("Could not read resume state", e);
+            return null;
+        }
+    }
+    /**
+     * Captures the running game into the resume state. Called when the game
+     * exits and when the page is hidden, as mobile browsers often kill hidden
+     * pages without an unload.
+     */
+    saveResume() {
+        if (!this.EJS.started || this.EJS.failedToStart || this.exited || !this.resumeEnabled()) return;
+        if (!this.EJS.gameManager.supportsStates()) return;
+        let state;
+        try {
+            state = this.EJS.gameManager.getState();
+        } catch(e) {
+            console.warn("Could not capture resume state", e);
+            return;
+        }
+        // Not compressed, the page may be gone before an async compression finishes
+        this.EJS.storage.states.put(this.getResumeKey(), {
+            ...this.getStateInfo(),
+            slot: "resume",
+            name: null,
+            date: Date.now(),
+            playTime: this.playTime,
+            screenshot: null,
+            format: null,
+            state: state
+        }).catch(e => this.EJS.storageError(e));
+    }
+    async loadResume() {
+        const record = await this.getResume();
+        if (!record || !this.EJS.gameManager.supportsStates()) return false;
+        return await this.loadRecord(record);
+    }
+    /**
+     * Auto states are a ring of `autoStateDepth` reserved keys
+     * (`<game>.auto0`, `<game>.auto1`, ...), the oldest one is overwritten.
+     */
+    getAutoStateKey(index) {
+        return this.EJS.getBaseFileName() + ".auto" + index;
+    }
+    /**
+     * Captures an auto state every `period` milliseconds, 0 stops.
+     */
+    startAutoStates(period) {
+        if (this.autoStateInterval) {
+            clearInterval(this.autoStateInterval);
+            this.autoStateInterval = null;
+        }
+        if (period === 0 || isNaN(period)) return;
+        this.autoStateInterval = setInterval(() => {
+            this.saveAutoState().catch(e => this.EJS.storageError(e));
+        }, period);
+    }
+    /**
+     * @returns {Promise<Object[]>} The auto state records, newest first
+     */
+    async listAutoStates() {
+        const records = [];
+        for (let i = 0; i < this.autoStateDepth; i++) {
+            let data;
+            try {
+                data = await this.EJS.storage.states.get(this.getAutoStateKey(i));
+            } catch(e) {
+                console.warn("Could not read auto state " + i, e);
+            }
+            const record = this.toRecord(i, data);
+            if (!record) continue;
+            record.auto = true;
+            records.push(record);
+        }
+        return records.sort((a, b) => b.date - a.date);
+    }
+    async saveAutoState() {
+        if (!this.EJS.started || this.EJS.paused || this.exited) return;
+        if (!this.EJS.gameManager.supportsStates()) return;
+        const records = await this.listAutoStates();
+        let index = records.length;
+        if (records.length >= this.autoStateDepth) {
+            index = records[records.length - 1].slot;
+        } else {
+            const used = records.map(record => record.slot);
+            for (let i = 0; i < this.autoStateDepth; i++) {
+                if (used.includes(i)) continue;
+                index = i;
+                break;
+            }
+        }
+        const record = await this.createRecord(index, this.EJS.gameManager.getState());
+        record.auto = true;
+        const operations = [{ type: "put", key: this.getAutoStateKey(index), data: record }];
+        // Drop the auto states beyond a depth that was lowered since
+        const prefix = this.EJS.getBaseFileName() + ".auto";
+        for (const key of await this.EJS.storage.states.getKeys()) {
+            if (!key.startsWith(prefix)) continue;
+            const i = parseInt(key.substring(prefix.length));
+            if (i >= this.autoStateDepth) operations.push({ type: "remove", key: key });
+        }
+        await this.EJS.storage.states.batch(operations);
+        return record;
+    }
+    deleteAutoState(index) {
+        return this.EJS.storage.states.remove(this.getAutoStateKey(index));
+    }
+    getQuickSavePath(slot) {
+        return "/" + slot + "-quick.state";
+    }
+    /**
+     * Captures a thumbnail of the current frame.
+     *
+     * @returns {Promise<Object>} The screenshot bytes and their image format
+     */
+    async getThumbnail() {
+        try {
+            const { screenshot, format } = await this.EJS.takeScreenshot(
+                this.EJS.capture.photo.source,
+                this.EJS.capture.photo.format,
+                this.EJS.capture.photo.upscale
+            );
+            return {
+                screenshot: new Uint8Array(await screenshot.arrayBuffer()),
+                format: format
+            };
+        } catch(e) {
+            if (this.EJS.debug) console.warn("Could not take save state thumbnail", e);
+            return { screenshot: null, format: null };
+        }
+    }
+    /**
+     * Hashes the running game file, patches included, with `EJS.romHasher`
+     * (in a worker). Done on start, as patches are applied right before. Files
+     * over 64 MB (disc images) are not hashed.
+     */
+    hashRom() {
+        try {
+            const FS = this.EJS.gameManager.FS;
+            const path = this.EJS.fileName;
+            if (!path || !FS.analyzePath(path).exists || FS.stat(path).size > 64 * 1024 * 1024) return;
+            this.EJS.romHasher.hash(FS.readFile(path)).then(hashes => {
+                this.romHash = "crc32:" + hashes.crc32;
+            }, e => console.warn("Could not hash game file", e));
+        } catch(e) {
+            console.warn("Could not hash game file", e);
+        }
+    }
+    /**
+     * Checksum of the running game file, used to tell ROM revisions apart.
+     * Until the file is hashed there is none, and nothing is compared.
+     *
+     * @returns {string|null}
+     */
+    getRomHash() {
+        return this.romHash || null;
+    }
+    /**
+     * @returns {Object} What a state made right now is compatible with
+     */
+    getStateInfo() {
+        let frame = null;
+        try {
+            frame = this.EJS.gameManager.getFrameNum();
+        } catch(e) {}
+        return {
+            core: this.EJS.getCore(),
+            coreVersion: this.EJS.coreVersion || null,
+            ejsVersion: this.EJS.ejs_version,
+            romHash: this.getRomHash(),
+            frame: frame
+        };
+    }
+    /**
+     * Wraps a state into the exported state container:
+     * the magic `EJSSTATE`, the container version and header length (uint32
+     * little endian), a JSON header with `getStateInfo()` and the screenshot
+     * format and sizes, then the screenshot and the (compressed) state.
+     *
+     * @param {Uint8Array} state - The core state, compressed if `source.compression` says so
+     * @param {Object} [thumbnail] - Result of `getThumbnail()`
+     * @param {Object} [source] - Info of an older state (e.g. a slot record), the running game if omitted
+     * @returns {Promise<Uint8Array>}
+     */
+    async pack(state, thumbnail, source) {
+        const screenshot = (thumbnail && thumbnail.screenshot) || new Uint8Array(0);
+        if (!source) source = this.getStateInfo();
+        let compression = source.compression || null;
+        if (!compression) {
+            ({ state, compression } = await this.compressState(state));
+        }
+        const info = {
+            core: source.core || null,
+            coreVersion: source.coreVersion || null,
+            ejsVersion: source.ejsVersion || null,
+            romHash: source.romHash || null,
+            frame: (typeof source.frame === "number") ? source.frame : null,
+            date: source.date || Date.now(),
+            format: (thumbnail && thumbnail.format) || null,
+            compression: compression,
+            screenshotSize: screenshot.byteLength,
+            stateSize: state.byteLength
+        };
+        const header = new TextEncoder().encode(JSON.stringify(info));
+        const out = new Uint8Array(16 + header.byteLength + screenshot.byteLength + state.byteLength);
+        const view = new DataView(out.buffer);
+        out.set(EJS_StateManager.MAGIC, 0);
+        view.setUint32(8, EJS_StateManager.CONTAINER_VERSION, true);
+        view.setUint32(12, header.byteLength, true);
+        out.set(header, 16);
+        out.set(screenshot, 16 + header.byteLength);
+        out.set(state, 16 + header.byteLength + screenshot.byteLength);
+        return out;
+    }
+    /**
+     * Reads a state container. Anything without the magic is a legacy raw
+     * state and is returned as-is with `info` set to `null`. The state is
+     * still compressed if `info.compression` is set, `importState()` also
+     * decompresses it.
+     *
+     * @param {Uint8Array} data
+     * @returns {Object} `{ info, state, screenshot, format }`
+     */
+    unpack(data) {
+        data = new Uint8Array(data);
+        const legacy = { info: null, state: data, screenshot: null, format: null };
+        if (data.byteLength < 16) return legacy;
+        for (let i = 0; i < EJS_StateManager.MAGIC.length; i++) {
+            if (data[i] !== EJS_StateManager.MAGIC[i]) return legacy;
+        }
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const length = view.getUint32(12, true);
+        const info = JSON.parse(new TextDecoder().decode(data.subarray(16, 16 + length)));
+        const start = 16 + length;
+        return {
+            info: info,
+            state: data.subarray(start + info.screenshotSize, start + info.screenshotSize + info.stateSize),
+            screenshot: info.screenshotSize ? data.subarray(start, start + info.screenshotSize) : null,
+            format: info.format
+        };
+    }
+    /**
+     * Unpacks any state file a player may bring: our container, a RetroArch
+     * `#RZIPv` compressed state and/or a RetroArch `RASTATE` state.
+     *
+     * @param {Uint8Array} data
+     * @returns {Promise<Object>} Same as `unpack()`
+     */
+    async importState(data) {
+        data = new Uint8Array(data);
+        if (this.isRzip(data)) data = await this.decompressRzip(data);
+        if (this.isRastate(data)) data = this.unpackRastate(data);
+        const unpacked = this.unpack(data);
+        if (unpacked.info && unpacked.info.compression) {
+            unpacked.state = await this.decompressState(unpacked.state, unpacked.info.compression);
+        }
+        return unpacked;
+    }
+    /**
+     * Compresses a state before it is stored or downloaded. Core states are
+     * mostly empty memory and shrink a lot. Browsers without `CompressionStream`
+     * keep the state as-is.
+     *
+     * @param {Uint8Array} state
+     * @returns {Promise<Object>} `{ state, compression }`, `compression` is `null` when not compressed
+     */
+    async compressState(state) {
+        if (typeof CompressionStream !== "function") return { state: state, compression: null };
+        try {
+            return {
+                state: await this.pipe(state, new CompressionStream("gzip")),
+                compression: "gzip"
+            };
+        } catch(e) {
+            console.warn("Could not compress state", e);
+            return { state: state, compression: null };
+        }
+    }
+    decompressState(state, compression) {
+        if (!compression) return state;
+        return this.pipe(state, new DecompressionStream(compression));
+    }
+    /**
+     * @param {Object} record - A slot record
+     * @returns {Promise<Uint8Array>} The uncompressed state of the record
+     */
+    async getRecordState(record) {
+        return await this.decompressState(record.state, record.compression);
+    }
+    /**
+     * Converts a raw state into what desktop RetroArch writes with savestate
+     * compression enabled: a `RASTATE` container inside a `#RZIPv` stream.
+     *
+     * @param {Uint8Array} state
+     * @returns {Promise<Uint8Array>}
+     */
+    exportRetroArch(state) {
+        return this.compressRzip(this.packRastate(state));
+    }
+    isRzip(data) {
+        return this.startsWith(data, EJS_StateManager.RZIP_MAGIC);
+    }
+    isRastate(data) {
+        return this.startsWith(data, EJS_StateManager.RASTATE_MAGIC);
+    }
+    startsWith(data, magic) {
+        if (data.byteLength < magic.length) return false;
+        for (let i = 0; i < magic.length; i++) {
+            if (data[i] !== magic.charCodeAt(i)) return false;
+        }
+        return true;
+    }
+    async pipe(data, transform) {
+        const stream = new Blob([data]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+    /**
+     * `#RZIPv` streams: the 8 byte magic, the chunk size (uint32) and the total
+     * size (uint64), then chunks of a uint32 compressed size and a zlib stream.
+     */
+    async decompressRzip(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const total = Number(view.getBigUint64(12, true));
+        const out = new Uint8Array(total);
+        let offset = 20;
+        let written = 0;
+        while (offset + 4 <= data.byteLength && written < total) {
+            const size = view.getUint32(offset, true);
+            offset += 4;
+            const chunk = await this.pipe(data.subarray(offset, offset + size), new DecompressionStream("deflate"));
+            out.set(chunk.subarray(0, total - written), written);
+            written += chunk.byteLength;
+            offset += size;
+        }
+        return out;
+    }
+    async compressRzip(data) {
+        const chunkSize = EJS_StateManager.RZIP_CHUNK_SIZE;
+        const chunks = [];
+        for (let i = 0; i < data.byteLength; i += chunkSize) {
+            chunks.push(await this.pipe(data.subarray(i, i + chunkSize), new CompressionStream("deflate")));
+        }
+        const size = 20 + chunks.reduce((total, chunk) => total + 4 + chunk.byteLength, 0);
+        const out = new Uint8Array(size);
+        const view = new DataView(out.buffer);
+        for (let i = 0; i < 8; i++) out[i] = EJS_StateManager.RZIP_MAGIC.charCodeAt(i);
+        view.setUint32(8, chunkSize, true);
+        view.setBigUint64(12, BigInt(data.byteLength), true);
+        let offset = 20;
+        for (const chunk of chunks) {
+            view.setUint32(offset, chunk.byteLength, true);
+            out.set(chunk, offset + 4);
+            offset += 4 + chunk.byteLength;
+        }
+        return out;
+    }
+    /**
+     * `RASTATE` files: the 7 byte magic and a version byte, then blocks of a
+     * 4 character id, a uint32 size and the data padded to 8 bytes. The core
+     * state is the `MEM ` block, the others (achievements, replay) are skipped.
+     */
+    unpackRastate(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        let offset = 8;
+        while (offset + 8 <= data.byteLength) {
+            const id = String.fromCharCode(...data.subarray(offset, offset + 4));
+            const size = view.getUint32(offset + 4, true);
+            if (id === "MEM ") return data.slice(offset + 8, offset + 8 + size);
+            if (id === "END ") break;
+            offset += 8 + ((size + 7) & ~7);
+        }
+        throw new Error("RetroArch state has no memory block");
+    }
+    packRastate(state) {
+        const padded = (state.byteLength + 7) & ~7;
+        const out = new Uint8Array(8 + 8 + padded + 8);
+        const view = new DataView(out.buffer);
+        const writeId = (offset, id) => {
+            for (let i = 0; i < 4; i++) out[offset + i] = id.charCodeAt(i);
+        };
+        for (let i = 0; i < 7; i++) out[i] = EJS_StateManager.RASTATE_MAGIC.charCodeAt(i);
+        out[7] = 1;
+        writeId(8, "MEM ");
+        view.setUint32(12, state.byteLength, true);
+        out.set(state, 16);
+        writeId(16 + padded, "END ");
+        return out;
+    }
+    /**
+     * Compares the info of a state with the running game.
+     *
+     * @param {Object} info - From `unpack()` or a slot record
+     * @returns {Object} `{ fatal, messages }`, `fatal` when the state is from another core
+     */
+    checkStateInfo(info) {
+        const current = this.getStateInfo();
+        const messages = [];
+        let fatal = false;
+        if (info.core && info.core !== current.core) {
+            fatal = true;
+            messages.push(this.EJS.localization("This state was made with a different core") + " (" + info.core + ")");
+        } else if (info.coreVersion && current.coreVersion && info.coreVersion !== current.coreVersion) {
+            messages.push(this.EJS.localization("This state was made with a different core version") + " (" + info.coreVersion + ")");
+        }
+        if (info.romHash && current.romHash && info.romHash !== current.romHash) {
+            messages.push(this.EJS.localization("This state was made with a different game file"));
+        }
+        return { fatal: fatal, messages: messages };
+    }
+    /**
+     * Turns whatever is stored in a slot into a slot record.
+     * Raw states (written before slots had records) are wrapped as-is.
+     */
+    toRecord(slot, data) {
+        if (!data) return null;
+        if (data instanceof Uint8Array || data instanceof ArrayBuffer) {
+            return {
+                slot: slot,
+                name: null,
+                date: null,
+                core: null,
+                playTime: null,
+                screenshot: null,
+                format: null,
+                state: new Uint8Array(data)
+            };
+        }
+        data.slot = slot;
+        return data;
+    }
+    async getSlot(slot) {
+        try {
+            return this.toRecord(slot, await this.EJS.storage.states.get(this.getSlotKey(slot)));
+        } catch(e) {
+            console.warn("Could not read save state slot " + slot, e);
+            return null;
+        }
+    }
+    /**
+     * Saves a state into a browser slot.
+     *
+     * @param {number} slot - The slot number
+     * @param {Uint8Array} state - The state from `gameManager.getState()`
+     * @param {Object} [thumbnail] - Result of `getThumbnail()`, taken now if omitted
+     * @returns {Promise<Object>} The stored record
+     */
+    async saveSlot(slot, state, thumbnail) {
+        const previous = await this.getSlot(slot);
+        const record = await this.createRecord(slot, state, thumbnail);
+        record.name = previous ? previous.name : null;
+        await this.EJS.storage.states.put(this.getSlotKey(slot), record);
+        this.EJS.callEvent("stateSlotChanged", this.getSlotKey(slot));
+        return record;
+    }
+    /**
+     * Builds the record stored for a state: the compressed state, a thumbnail
+     * and what the state is compatible with.
+     */
+    async createRecord(slot, state, thumbnail) {
+        if (!thumbnail) thumbnail = await this.getThumbnail();
+        const compressed = await this.compressState(state);
+        return {
+            ...this.getStateInfo(),
+            slot: slot,
+            name: null,
+            date: Date.now(),
+            playTime: this.playTime,
+            screenshot: thumbnail.screenshot,
+            format: thumbnail.format,
+            compression: compressed.compression,
+            state: compressed.state
+        };
+    }
+    async loadSlot(slot) {
+        const record = await this.getSlot(slot);
+        if (!record) return false;
+        return await this.loadRecord(record);
+    }
+    /**
+     * Loads a stored record into the running game, after asking the player
+     * if it looks incompatible.
+     *
+     * @returns {Promise<boolean>} Whether the state was loaded
+     */
+    async loadRecord(record) {
+        if (!(await this.EJS.confirmStateInfo(record))) return false;
+        this.EJS.gameManager.loadState(await this.getRecordState(record));
+        if (typeof record.playTime === "number") this.playTime = record.playTime;
+        return true;
+    }
+    async renameSlot(slot, name) {
+        const record = await this.getSlot(slot);
+        if (!record) return;
+        record.name = name.trim() || null;
+        await this.EJS.storage.states.put(this.getSlotKey(slot), record);
+        this.EJS.callEvent("stateSlotChanged", this.getSlotKey(slot));
+    }
+    async deleteSlot(slot) {
+        await this.EJS.storage.states.remove(this.getSlotKey(slot));
+        this.EJS.callEvent("stateSlotChanged", this.getSlotKey(slot));
+    }
+    getQuickSave(slot) {
+        const path = this.getQuickSavePath(slot);
+        const FS = this.EJS.gameManager.FS;
+        if (!FS.analyzePath(path).exists) return null;
+        const info = this.quickSaves[slot] || {};
+        return {
+            slot: slot,
+            quick: true,
+            name: null,
+            date: info.date || FS.stat(path).mtime.getTime(),
+            core: info.core || this.EJS.getCore(),
+            playTime: typeof info.playTime === "number" ? info.playTime : null,
+            screenshot: info.screenshot || null,
+            format: info.format || null,
+            state: FS.readFile(path)
+        };
+    }
+    loadQuickSave(slot) {
+        const info = this.quickSaves[slot];
+        this.EJS.gameManager.quickLoad(slot);
+        if (info && typeof info.playTime === "number") this.playTime = info.playTime;
+    }
+    deleteQuickSave(slot) {
+        try {
+            this.EJS.gameManager.FS.unlink(this.getQuickSavePath(slot));
+        } catch(e) {}
+        delete this.quickSaves[slot];
+    }
+    /**
+     * Lists every browser slot (slot 0 only when it holds an old state),
+     * every quick save slot that currently exists and the auto states.
+     *
+     * @returns {Promise<Object[]>} Slot records, `null` for empty browser slots
+     */
+    async listSlots() {
+        const slots = [];
+        for (let i = 0; i <= this.slotCount; i++) {
+            const record = await this.getSlot(i);
+            if (i === 0 && !record) continue;
+            slots.push(record || { slot: i, empty: true });
+        }
+        for (let i = 1; i <= this.slotCount; i++) {
+            const record = this.getQuickSave(i);
+            if (record) slots.push(record);
+        }
+        return slots.concat(await this.listAutoStates());
+    }
+    getFileName(record) {
+        const base = this.EJS.getBaseFileName();
+        if (record.quick) return base + "-quick" + record.slot + ".state";
+        if (record.auto) return base + ".auto" + record.slot + ".state";
+        return base + ".state" + (record.slot > 0 ? record.slot : "");
+    }
+    formatPlayTime(seconds) {
+        const pad = (n) => n.toString().padStart(2, "0");
+        return Math.floor(seconds / 3600) + ":" + pad(Math.floor(seconds / 60) % 60) + ":" + pad(seconds % 60);
+    }
+}
+
+EJS_StateManager.MAGIC = new Uint8Array([0x45, 0x4A, 0x53, 0x53, 0x54, 0x41, 0x54, 0x45]); // "EJSSTATE"
+EJS_StateManager.CONTAINER_VERSION = 1;
+EJS_StateManager.RZIP_MAGIC = "#RZIPv\x01#";
+EJS_StateManager.RZIP_CHUNK_SIZE = 131072;
+EJS_StateManager.RASTATE_MAGIC = "RASTATE";
+
+window.EJS_StateManager = EJS_StateManager;
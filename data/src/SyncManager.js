@@ -0,0 +1,365 @@
+/**
+ * Interface of a remote sync backend. Implementations store opaque binary
+ * items under string keys and give every version of an item a revision.
+ *
+ * Keys look like `saves/<save file name>` and `states/<state slot key>`.
+ * Every method returns a promise; failures reject with an `EJS_StorageError`,
+ * writes against an outdated revision reject with type `CONFLICT`.
+ *
+ * Pass an instance as `EJS_syncProvider` to sync through your own backend.
+ */
+class EJS_SyncProvider {
+    /**
+     * @param {string} prefix - Only list keys starting with this
+     * @returns {Promise<Object[]>} `{ key, revision, modified }` for every item
+     */
+    list(prefix) {
+        return Promise.reject(new Error("list() is not implemented"));
+    }
+    /**
+     * @param {string} key
+     * @returns {Promise<Object|null>} `{ data: Uint8Array, revision, modified }`, `null` if missing
+     */
+    get(key) {
+        return Promise.reject(new Error("get() is not implemented"));
+    }
+    /**
+     * @param {string} key
+     * @param {Uint8Array} data
+     * @param {Object} options - `revision` the write is based on (`null` for new items) and `modified` (ms)
+     * @returns {Promise<Object>} `{ revision, modified }` of the stored item
+     */
+    put(key, data, options) {
+        return Promise.reject(new Error("put() is not implemented"));
+    }
+    /**
+     * @param {string} key
+     * @param {Object} options - `revision` the delete is based on
+     * @returns {Promise}
+     */
+    delete(key, options) {
+        return Promise.reject(new Error("delete() is not implemented"));
+    }
+}
+
+/**
+ * Sync provider for a plain REST endpoint (`EJS_syncUrl`):
+ *
+ * - `GET    <url>?prefix=<prefix>` returns a JSON array of `{ key, revision, modified }`
+ * - `GET    <url>/<key>` returns the item, with its revision in `ETag`
+ * - `PUT    <url>/<key>` stores the item, guarded by `If-Match` / `If-None-Match: *`
+ * - `DELETE <url>/<key>` removes the item, guarded by `If-Match`
+ *
+ * Keys are URI encoded. `modified` is sent and returned in the `X-EJS-Modified`
+ * header (ms since epoch). A `412` response is reported as a conflict.
+ *
+ * `npm run sync-server` starts an in-memory stand-in of such an endpoint.
+ */
+class EJS_RESTSyncProvider extends EJS_SyncProvider {
+    /**
+     * @param {string} url - Base URL of the endpoint
+     * @param {Object} [options] - `headers` added to every request (e.g. authorization)
+     *   and the fetch `credentials` mode (default "same-origin"; "include" sends
+     *   cookies cross-origin, which the server has to allow)
+     */
+    constructor(url, options) {
+        super();
+        options = options || {};
+        this.url = url.replace(/\/+$/, "");
+        this.headers = options.headers || {};
+        this.credentials = options.credentials || "same-origin";
+    }
+    async request(method, path, headers, body) {
+        let res;
+        try {
+            res = await fetch(this.url + path, {
+                method: method,
+                headers: Object.assign({}, this.headers, headers),
+                body: body,
+                credentials: this.credentials
+            });
+        } catch(e) {
+            throw new window.EJS_StorageError(window.EJS_StorageError.NETWORK, "Could not reach sync server", e);
+        }
+        if (res.status === 412 || res.status === 409) {
+            throw new window.EJS_StorageError(window.EJS_StorageError.CONFLICT, "Item was changed on the sync server");
+        }
+        if (!res.ok && res.status !== 404) {
+            throw new window.EJS_StorageError(window.EJS_StorageError.NETWORK, "Sync server returned " + res.status);
+        }
+        return res;
+    }
+    getItemPath(key) {
+        return "/" + encodeURIComponent(key);
+    }
+    getMeta(res) {
+        return {
+            revision: res.headers.get("ETag"),
+            modified: parseInt(res.headers.get("X-EJS-Modified")) || Date.parse(res.headers.get("Last-Modified")) || 0
+        };
+    }
+    async list(prefix) {
+        const res = await this.request("GET", "?prefix=" + encodeURIComponent(prefix || ""));
+        if (res.status === 404) return [];
+        return await res.json();
+    }
+    async get(key) {
+        const res = await this.request("GET", this.getItemPath(key));
+        if (res.status === 404) return null;
+        const item = this.getMeta(res);
+        item.data = new Uint8Array(await res.arrayBuffer());
+        return item;
+    }
+    async put(key, data, options) {
+        const headers = {
+            "Content-Type": "application/octet-stream",
+            "X-EJS-Modified": String(options.modified || Date.now())
+        };
+        if (options.revision) {
+            headers["If-Match"] = options.revision;
+        } else {
+            headers["If-None-Match"] = "*";
+        }
+        return this.getMeta(await this.request("PUT", this.getItemPath(key), headers, data));
+    }
+    async delete(key, options) {
+        const headers = {};
+        if (options && options.revision) headers["If-Match"] = options.revision;
+        await this.request("DELETE", this.getItemPath(key), headers);
+    }
+}
+
+/**
+ * Pushes and pulls the SRAM and the browser save states of the running game
+ * through a sync provider.
+ *
+ * The revision and a checksum of every item as of its last sync are kept in
+ * IndexedDB. With those, an item that only changed on one side is copied to
+ * the other side, and an item that changed on both sides is a conflict. By
+ * default the most recently modified side wins (`EJS_syncConflict = "newest"`),
+ * with `"prompt"` the player picks.
+ */
+class EJS_SyncManager {
+    /**
+     * @param {Object} EJS - The main EmulatorJS instance
+     * @param {EJS_SyncProvider} provider
+     */
+    constructor(EJS, provider) {
+        this.EJS = EJS;
+        this.provider = provider;
+        this.conflict = (EJS.config.syncConflict === "prompt") ? "prompt" : "newest";
+        if (EJS.config.disableDatabases) {
+            this.synced = new window.EJS_DUMMYSTORAGE();
+        } else {
+            this.synced = new window.EJS_STORAGE("EmulatorJS-sync", "synced");
+        }
+        this.queue = Promise.resolve();
+        this.EJS.on("start", () => {
+            this.enqueue(() => this.syncAll());
+        });
+        this.EJS.on("saveSaveFiles", (data) => {
+            if (data) this.enqueue(() => this.syncSave());
+        });
+        this.EJS.on("stateSlotChanged", (key) => {
+            this.enqueue(() => this.syncState(key));
+        });
+    }
+    /**
+     * Runs sync tasks one after another so two syncs of the same item never overlap.
+     */
+    enqueue(task) {
+        this.queue = this.queue.then(task).catch(e => {
+            console.warn("Sync failed", e);
+            this.EJS.callEvent("syncError", e);
+        });
+        return this.queue;
+    }
+    getChecksum(data) {
+        if (!this.EJS.compression) {
+            this.EJS.compression = new window.EJS_COMPRESSION(this.EJS);
+        }
+        return this.EJS.compression.crc32(data);
+    }
+    getSaveKey() {
+        return "saves/" + this.EJS.gameManager.getSaveFilePath().split("/").pop();
+    }
+    getStateKey(key) {
+        return "states/" + key;
+    }
+    /**
+     * Packs a state record (or a raw state) into bytes: a little endian header
+     * length, a JSON header with the plain fields and the binary field sizes,
+     * then the binary fields.
+     */
+    encodeRecord(record) {
+        if (record instanceof Uint8Array || record instanceof ArrayBuffer) {
+            record = { state: new Uint8Array(record) };
+        }
+        const fields = {};
+        const binary = [];
+        for (const k in record) {
+            if (record[k] && typeof record[k].byteLength === "number") {
+                binary.push([k, new Uint8Array(record[k])]);
+            } else {
+                fields[k] = record[k];
+            }
+        }
+        const header = new TextEncoder().encode(JSON.stringify({
+            fields: fields,
+            binary: binary.map(([k, v]) => [k, v.byteLength])
+        }));
+        const size = 4 + header.byteLength + binary.reduce((total, [k, v]) => total + v.byteLength, 0);
+        const out = new Uint8Array(size);
+        new DataView(out.buffer).setUint32(0, header.byteLength, true);
+        out.set(header, 4);
+        let offset = 4 + header.byteLength;
+        for (const [k, v] of binary) {
+            out.set(v, offset);
+            offset += v.byteLength;
+        }
+        return out;
+    }
+    decodeRecord(data) {
+        const length = new DataView(data.buffer, data.byteOffset, data.byteLength).getUint32(0, true);
+        const header = JSON.parse(new TextDecoder().decode(data.subarray(4, 4 + length)));
+        const record = header.fields;
+        let offset = 4 + length;
+        for (const [k, size] of header.binary) {
+            record[k] = data.slice(offset, offset + size);
+            offset += size;
+        }
+        return record;
+    }
+    async syncAll() {
+        await this.syncSave();
+        const prefix = this.getStateKey(this.EJS.getBaseFileName() + ".");
+        const remotes = await this.provider.list(prefix);
+        const keys = new Set();
+        for (const item of remotes) {
+            keys.add(item.key.substring("states/".length));
+        }
+        for (const key of await this.EJS.storage.states.getKeys()) {
+            if (key.startsWith(this.EJS.getBaseFileName() + ".")) keys.add(key);
+        }
+        for (const key of keys) {
+            await this.syncState(key, remotes);
+        }
+    }
+    async syncSave() {
+        if (!this.EJS.gameManager) return;
+        const FS = this.EJS.gameManager.FS;
+        const path = this.EJS.gameManager.getSaveFilePath();
+        const exists = FS.analyzePath(path).exists;
+        await this.syncItem(this.getSaveKey(), exists ? {
+            data: FS.readFile(path),
+            modified: FS.stat(path).mtime.getTime()
+        } : null, (data) => {
+            // A save that was deleted elsewhere is kept and pushed again on the next sync.
+            if (!data) return;
+            this.EJS.gameManager.writeSaveFile(data);
+            this.EJS.gameManager.loadSaveFiles();
+        });
+    }
+    /**
+     * @param {string} key - Key of the state in `storage.states`
+     * @param {Object[]} [remotes] - A listing that covers the state, see `syncItem`
+     */
+    async syncState(key, remotes) {
+        const record = await this.EJS.storage.states.get(key);
+        await this.syncItem(this.getStateKey(key), record ? {
+            data: this.encodeRecord(record),
+            modified: record.date || 0
+        } : null, async (data) => {
+            if (data) {
+                await this.EJS.storage.states.put(key, this.decodeRecord(data));
+            } else {
+                await this.EJS.storage.states.remove(key);
+            }
+        }, remotes);
+    }
+    /**
+     * Syncs one item.
+     *
+     * @param {string} key - Remote key
+     * @param {Object|null} local - `{ data, modified }` of the local copy, `null` if there is none
+     * @param {Function} apply - Replaces the local copy with the given bytes, or deletes it for `null`
+     * @param {Object[]} [remotes] - A `provider.list` result that covers the key, so
+     *   syncing many items lists them once. Without it the key is listed
+     */
+    async syncItem(key, local, apply, remotes, retried) {
+        const known = await this.synced.get(key);
+        if (!remotes) remotes = await this.provider.list(key);
+        const remote = remotes.find(item => item.key === key) || null;
+        const checksum = local ? this.getChecksum(local.data) : null;
+        const localChanged = known ? checksum !== known.checksum : !!local;
+        const remoteChanged = known ? (!remote || remote.revision !== known.revision) : !!remote;
+        if (!localChanged && !remoteChanged) return;
+
+        let winner = localChanged ? "local" : "remote";
+        if (localChanged && remoteChanged) {
+            if (!local && !remote) {
+                await this.synced.remove(key);
+                return;
+            }
+            winner = await this.resolveConflict(key, local, remote);
+        }
+        try {
+            if (winner === "local" && local) {
+                const stored = await this.provider.put(key, local.data, {
+                    revision: remote ? remote.revision : null,
+                    modified: local.modified
+                });
+                await this.synced.put(key, { revision: stored.revision, checksum: checksum });
+            } else if (winner === "local") {
+                if (remote) await this.provider.delete(key, { revision: remote.revision });
+                await this.synced.remove(key);
+            } else if (remote) {
+                const item = await this.provider.get(key);
+                if (!item) throw new window.EJS_StorageError(window.EJS_StorageError.CONFLICT, key + " was deleted during sync");
+                await apply(item.data);
+                await this.synced.put(key, { revision: item.revision, checksum: this.getChecksum(item.data) });
+                this.EJS.callEvent("syncPulled", key);
+            } else {
+                await apply(null);
+                await this.synced.remove(key);
+            }
+        } catch(e) {
+            // Someone else wrote in between, start over with the new remote revision.
+            if (retried || !(e instanceof window.EJS_StorageError) || e.type !== window.EJS_StorageError.CONFLICT) throw e;
+            await this.syncItem(key, local, apply, null, true);
+        }
+    }
+    /**
+     * @returns {Promise<string>} "local" or "remote"
+     */
+    resolveConflict(key, local, remote) {
+        if (this.conflict !== "prompt") {
+            const localModified = local ? local.modified : 0;
+            const remoteModified = remote ? remote.modified : 0;
+            return Promise.resolve(localModified >= remoteModified ? "local" : "remote");
+        }
+        return new Promise(resolve => {
+            const choose = (winner) => {
+                this.EJS.closePopup();
+                resolve(winner);
+            };
+            const body = this.EJS.createPopup("Sync Conflict", {
+                "Keep This Device": () => choose("local"),
+                "Use Synced Copy": () => choose("remote")
+            });
+            const describe = (item) => {
+                if (!item) return this.EJS.localization("Deleted");
+                return item.modified ? new Date(item.modified).toLocaleString() : this.EJS.localization("Unknown");
+            };
+            const message = this.EJS.createElement("div");
+            message.innerText = key.split("/").pop() + "\n" +
+                this.EJS.localization("This device") + ": " + describe(local) + "\n" +
+                this.EJS.localization("Synced copy") + ": " + describe(remote);
+            body.appendChild(message);
+        });
+    }
+}
+
+window.EJS_SyncProvider = EJS_SyncProvider;
+window.EJS_RESTSyncProvider = EJS_RESTSyncProvider;
+window.EJS_SyncManager = EJS_SyncManager;
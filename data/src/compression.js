@@ -1,6 +1,6 @@
 /**
- * Handles compression and decompression of various archive formats (ZIP, 7Z, RAR)
- * for the EmulatorJS system.
+ * Handles compression and decompression of various archive formats (ZIP, 7Z, RAR,
+ * TAR) and compressed files (gzip, xz, zstd) for the EmulatorJS system.
  *
  * This class provides functionality to detect compressed file formats and extract
  * their contents using web workers for better performance.
@@ -13,17 +13,22 @@ class EJSCompression {
      */
     constructor(EJS) {
         this.EJS = EJS;
+        this.workerUrls = {};
+        this.idleWorkers = {};
     }
 
     /**
      * Detects if the given data represents a compressed archive format.
      *
      * @param {Uint8Array|ArrayBuffer} data - The binary data to analyze
-     * @returns {string|null} The detected compression format ('zip', '7z', 'rar') or null if not compressed
+     * @returns {string|null} The detected compression format ('zip', '7z', 'rar', 'tar', 'gz', 'xz',
+     *   'zstd') or null if not compressed
      *
      * @description
      * Checks the file signature (magic bytes) at the beginning of the data to identify
-     * the compression format. Supports ZIP, 7Z, and RAR formats.
+     * the compression format. Supports ZIP, 7Z, RAR, TAR, gzip, xz and zstd formats.
+     * TAR archives are recognised by the `ustar` magic at offset 257, so pass at
+     * least the first 262 bytes.
      *
      * @see {@link https://www.garykessler.net/library/file_sigs.html|File Signature Database}
      */
@@ -34,129 +39,669 @@ class EJSCompression {
                 return "7z";
             } else if ((data[0] === 0x52 && data[1] === 0x61 && data[2] === 0x72 && data[3] === 0x21 && data[4] === 0x1A && data[5] === 0x07) && ((data[6] === 0x00) || (data[6] === 0x01 && data[7] === 0x00))) {
                 return "rar";
+            } else if (data[0] === 0x1F && data[1] === 0x8B && data[2] === 0x08) {
+                return "gz";
+            } else if (data[0] === 0xFD && data[1] === 0x37 && data[2] === 0x7A && data[3] === 0x58 && data[4] === 0x5A && data[5] === 0x00) {
+                return "xz";
+            } else if (data[0] === 0x28 && data[1] === 0xB5 && data[2] === 0x2F && data[3] === 0xFD) {
+                return "zstd";
+            } else if (data.length >= 262 && data[257] === 0x75 && data[258] === 0x73 && data[259] === 0x74 && data[260] === 0x61 && data[261] === 0x72) {
+                return "tar";
             }
             return null;
         }
 
+    /**
+     * Drops the extension of a single-file compression from a file name, to name
+     * the `!!notCompressedData` a gzip, xz or zstd file decompresses to.
+     *
+     * @param {string} name - E.g. `game.sfc.gz`
+     * @returns {string} E.g. `game.sfc`, or the name as it is
+     */
+    getDecompressedName(name) {
+        const stripped = name.replace(/\.(gz|xz|zst|zstd)$/i, "");
+        return stripped || name;
+    }
+
     /**
      * Decompresses the given data and extracts all files.
      *
      * @param {Uint8Array|ArrayBuffer} data - The compressed data to extract
      * @param {Function} updateMsg - Callback function for progress updates (message, isProgress)
      * @param {Function} fileCbFunc - Callback function called for each extracted file (filename, fileData)
+     * @param {Function} [filter] - Called with each entry name, only entries it returns true for are extracted
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Stops the extraction, the promise rejects with the abort reason
+     * @param {Function} [options.onProgress] - Called with `{ loaded, total, file }`: the bytes extracted so far
+     *   and, when the archive lists its sizes (ZIP, TAR), the bytes of all the entries, otherwise null
      * @returns {Promise<Object>} Promise that resolves to an object mapping filenames to file data
      *
      * @description
      * Automatically detects the compression format and delegates to the appropriate
      * decompression method. If the data is not compressed, returns it as-is.
+     * A gzip, xz or zstd file is returned under `!!notCompressedData` too, once
+     * decompressed, unless it holds a TAR archive.
+     * With a `filter`, ZIP archives only extract the matching entries.
+     *
+     * With a `fileCbFunc` the extraction streams: each file is handed to it and
+     * dropped, and the promise resolves to the names only. If `fileCbFunc` returns
+     * a promise, the extraction resolves once every returned promise settled.
      */
-    decompress(data, updateMsg, fileCbFunc) {
-        const compressed = this.isCompressed(data.slice(0, 10));
+    decompress(data, updateMsg, fileCbFunc, filter, options) {
+        options = options || {};
+        const compressed = this.isCompressed(data.slice(0, 512));
         if (compressed === null) {
             if (typeof fileCbFunc === "function") {
                 fileCbFunc("!!notCompressedData", data);
             }
             return new Promise(resolve => resolve({ "!!notCompressedData": data }));
         }
-        return this.decompressFile(compressed, data, updateMsg, fileCbFunc);
+        if (typeof filter === "function" && compressed === "zip") {
+            const entries = this.readZipDirectory(data);
+            if (entries) return this.decompressFile("zip", this.sliceZip(data, entries.filter(entry => filter(entry.name))), updateMsg, fileCbFunc, null, options);
+        }
+        if (compressed === "tar") {
+            return this.extractTar(data, updateMsg, fileCbFunc, filter, options);
+        }
+        if (["gz", "xz", "zstd"].includes(compressed)) {
+            return this.decompressStream(compressed, data, updateMsg, fileCbFunc, filter, options);
+        }
+        return this.decompressFile(compressed, data, updateMsg, fileCbFunc, filter, options);
+    }
+
+    /**
+     * Collects the files of one extraction: hands them to `fileCbFunc` or keeps
+     * them, and reports the progress to `updateMsg` and `options.onProgress`.
+     *
+     * @param {number|null} total - The bytes of all the entries, if known
+     * @returns {Object} `{ files, add(name, data), progress(file), finish() }`
+     */
+    createOutput(updateMsg, fileCbFunc, options, total) {
+        let pending = Promise.resolve();
+        const output = {
+            files: {},
+            loaded: 0,
+            total: (typeof total === "number") ? total : null,
+            add: (name, data) => {
+                output.loaded += data.byteLength;
+                output.progress(name);
+                if (typeof fileCbFunc === "function") {
+                    output.files[name] = true;
+                    pending = pending.then(() => fileCbFunc(name, data));
+                } else {
+                    output.files[name] = data;
+                }
+            },
+            progress: (file) => {
+                if (typeof options.onProgress === "function") {
+                    options.onProgress({ loaded: output.loaded, total: output.total, file: file });
+                }
+                if (typeof updateMsg === "function" && output.total) {
+                    updateMsg(" " + Math.floor(output.loaded / output.total * 100).toString() + "%", true);
+                }
+            },
+            finish: () => pending.then(() => output.files)
+        };
+        return output;
+    }
+
+    /**
+     * Throws the abort reason if the signal was aborted.
+     *
+     * @param {AbortSignal} [signal]
+     */
+    checkAborted(signal) {
+        if (signal && signal.aborted) {
+            throw signal.reason || new DOMException("Decompression aborted", "AbortError");
+        }
+    }
+
+    /**
+     * Decompresses a gzip, xz or zstd file, then extracts it if it is a TAR archive.
+     *
+     * @param {string} method - 'gz', 'xz' or 'zstd'
+     * @param {Uint8Array} data - The compressed file
+     * @param {Function} updateMsg - Callback function for progress updates (message, isProgress)
+     * @param {Function} fileCbFunc - Callback function called for each extracted file (filename, fileData)
+     * @param {Function} [filter] - Only used for a TAR archive, see `decompress`
+     * @param {Object} options - See `decompress`
+     * @returns {Promise<Object>} Like `decompress`
+     *
+     * @description
+     * Gzip uses the browser's `DecompressionStream`, xz and zstd run their decoder
+     * in a worker (see `getWorkerFile`). A file that fails to decode is returned
+     * as it is, as it may be a game that merely starts like a gzip file.
+     */
+    async decompressStream(method, data, updateMsg, fileCbFunc, filter, options) {
+        let out = null;
+        try {
+            if (method === "gz") {
+                const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream("gzip"), { signal: options.signal });
+                out = new Uint8Array(await new Response(stream).arrayBuffer());
+            } else {
+                out = await this.decodeInWorker(method, data, options.signal);
+            }
+        } catch(e) {
+            this.checkAborted(options.signal);
+            console.warn("Could not decompress " + method + " data, using it as is", e);
+        }
+        if (out && this.isCompressed(out.slice(0, 512)) === "tar") {
+            return this.extractTar(out, updateMsg, fileCbFunc, filter, options);
+        }
+        if (!out) out = data;
+        const output = this.createOutput(updateMsg, fileCbFunc, options, out.byteLength);
+        output.add("!!notCompressedData", out);
+        return output.finish();
+    }
+
+    /**
+     * Runs the xz or zstd decoder worker on the given data.
+     *
+     * @param {string} method - 'xz' or 'zstd'
+     * @param {Uint8Array} data - The compressed file
+     * @param {AbortSignal} [signal]
+     * @returns {Promise<Uint8Array>} The decompressed data
+     */
+    decodeInWorker(method, data, signal) {
+        return this.getWorker(method).then(worker => new Promise((resolve, reject) => {
+            const onAbort = () => {
+                worker.terminate();
+                reject(signal.reason || new DOMException("Decompression aborted", "AbortError"));
+            };
+            if (signal) {
+                if (signal.aborted) return onAbort();
+                signal.addEventListener("abort", onAbort, { once: true });
+            }
+            let out = null;
+            worker.onmessage = (e) => {
+                if (!e.data) return;
+                if (e.data.t === 2) {
+                    out = e.data.data;
+                } else if (e.data.t === 3 || e.data.t === 1) {
+                    if (signal) signal.removeEventListener("abort", onAbort);
+                    this.releaseWorker(method, worker);
+                    if (e.data.t === 3) {
+                        reject(new Error(e.data.error));
+                    } else {
+                        resolve(out);
+                    }
+                }
+            };
+            worker.onerror = (e) => {
+                if (signal) signal.removeEventListener("abort", onAbort);
+                worker.terminate();
+                reject(e.error || new Error(e.message));
+            };
+            worker.postMessage(data);
+        }));
+    }
+
+    /**
+     * Extracts a TAR archive (ustar, with GNU long names and PAX paths).
+     *
+     * @param {Uint8Array} data - The archive
+     * @param {Function} updateMsg - Callback function for progress updates (message, isProgress)
+     * @param {Function} fileCbFunc - Callback function called for each extracted file (filename, fileData)
+     * @param {Function} [filter] - See `decompress`
+     * @param {Object} options - See `decompress`
+     * @returns {Promise<Object>} Like `decompressFile`
+     *
+     * @description
+     * Regular files and directories are extracted, directories with a trailing
+     * `/` like in ZIP archives. Links and other special entries are skipped.
+     */
+    async extractTar(data, updateMsg, fileCbFunc, filter, options) {
+        const decoder = new TextDecoder();
+        const readString = (offset, length) => {
+            const bytes = data.subarray(offset, offset + length);
+            const end = bytes.indexOf(0);
+            return decoder.decode(end === -1 ? bytes : bytes.subarray(0, end));
+        };
+        const readSize = (offset) => {
+            if (data[offset] & 0x80) {
+                // GNU base-256 encoding, for files of 8GB and more
+                let size = data[offset] & 0x7F;
+                for (let i = 1; i < 12; i++) size = size * 256 + data[offset + i];
+                return size;
+            }
+            return parseInt(readString(offset, 12).trim() || "0", 8);
+        };
+        // Read the headers first, for the total size
+        const entries = [];
+        let offset = 0;
+        let longName = null;
+        while (offset + 512 <= data.byteLength) {
+            if (data[offset] === 0) break; // end of archive
+            const header = offset;
+            const size = readSize(header + 124);
+            const type = String.fromCharCode(data[header + 156] || 0x30);
+            const start = header + 512;
+            offset = start + Math.ceil(size / 512) * 512;
+            if (start + size > data.byteLength) throw new Error("Truncated TAR archive");
+            if (type === "L") {
+                longName = readString(start, size);
+                continue;
+            }
+            if (type === "x") {
+                const path = /(?:^|\n)\d+ path=([^\n]*)\n/.exec(decoder.decode(data.subarray(start, start + size)));
+                if (path) longName = path[1];
+                continue;
+            }
+            let name = readString(header, 100);
+            const prefix = readString(header + 345, 155);
+            if (prefix && readString(header + 257, 6) === "ustar") name = prefix + "/" + name;
+            if (longName !== null) name = longName;
+            longName = null;
+            if (name.startsWith("./")) name = name.substring(2);
+            if (!name || (type !== "0" && type !== "5" && type !== "7")) continue;
+            if (type === "5") {
+                if (!name.endsWith("/")) name += "/";
+                entries.push({ name: name, start: start, size: 0 });
+            } else {
+                entries.push({ name: name, start: start, size: size });
+            }
+        }
+        const wanted = entries.filter(entry => typeof filter !== "function" || filter(entry.name));
+        const output = this.createOutput(updateMsg, fileCbFunc, options, wanted.reduce((size, entry) => size + entry.size, 0));
+        let yielded = 0;
+        for (const entry of wanted) {
+            if (output.loaded - yielded > 33554432) {
+                // Let other tasks (and an abort) run every 32MB
+                yielded = output.loaded;
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            this.checkAborted(options.signal);
+            output.add(entry.name, data.slice(entry.start, entry.start + entry.size));
+        }
+        return output.finish();
+    }
+
+    /**
+     * Lists the files in an archive without extracting them.
+     *
+     * @param {Uint8Array} data - The archive
+     * @returns {Object[]|null} `{ name, size, compressedSize }` of every entry, or null if
+     *   the data is not a ZIP archive that can be read here
+     *
+     * @description
+     * Only ZIP archives can be listed, from their central directory. 7Z and RAR
+     * archives (and ZIP64 or encrypted ZIP archives) return null; they can only
+     * be extracted as a whole, with a `filter` dropping the unwanted entries.
+     */
+    listEntries(data) {
+        if (this.isCompressed(data.slice(0, 512)) !== "zip") return null;
+        const entries = this.readZipDirectory(data);
+        if (!entries) return null;
+        return entries.map(entry => ({
+            name: entry.name,
+            size: entry.size,
+            compressedSize: entry.compressedSize
+        }));
+    }
+
+    /**
+     * Reads the central directory of a ZIP archive.
+     *
+     * @param {Uint8Array} data - The archive
+     * @returns {Object[]|null} The entries, with their compression method and local header offset
+     */
+    readZipDirectory(data) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        let end = -1;
+        for (let i = data.byteLength - 22; i >= Math.max(0, data.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) return null;
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        if (count === 0xFFFF || offset === 0xFFFFFFFF) return null; // ZIP64
+        const decoder = new TextDecoder();
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+            if (offset + 46 > data.byteLength || view.getUint32(offset, true) !== 0x02014b50) return null;
+            const flags = view.getUint16(offset + 8, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const entry = {
+                name: decoder.decode(data.subarray(offset + 46, offset + 46 + nameLength)),
+                method: view.getUint16(offset + 10, true),
+                crc: view.getUint32(offset + 16, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                size: view.getUint32(offset + 24, true),
+                localOffset: view.getUint32(offset + 42, true),
+                centralOffset: offset,
+                centralLength: 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true)
+            };
+            if (flags & 0x01) return null; // encrypted
+            if (entry.compressedSize === 0xFFFFFFFF || entry.size === 0xFFFFFFFF || entry.localOffset === 0xFFFFFFFF) return null;
+            entries.push(entry);
+            offset += entry.centralLength;
+        }
+        return entries;
+    }
+
+    /**
+     * Copies some entries of a ZIP archive into a new archive, without
+     * inflating them, so the ZIP worker only extracts those.
+     *
+     * @param {Uint8Array} data - The archive
+     * @param {Object[]} entries - Entries from `readZipDirectory`
+     * @returns {Uint8Array} The smaller archive
+     *
+     * @description
+     * The local headers get the sizes and CRC of the central directory, as
+     * entries written with a data descriptor leave them out.
+     */
+    sliceZip(data, entries) {
+        const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+        const parts = entries.map(entry => {
+            const headerLength = 30 + view.getUint16(entry.localOffset + 26, true) + view.getUint16(entry.localOffset + 28, true);
+            return { entry: entry, headerLength: headerLength };
+        });
+        const size = parts.reduce((size, part) => size + part.headerLength + part.entry.compressedSize + part.entry.centralLength, 22);
+        const out = new Uint8Array(size);
+        const outView = new DataView(out.buffer);
+        let offset = 0;
+        for (const part of parts) {
+            const entry = part.entry;
+            part.offset = offset;
+            out.set(data.subarray(entry.localOffset, entry.localOffset + part.headerLength + entry.compressedSize), offset);
+            outView.setUint16(offset + 6, outView.getUint16(offset + 6, true) & ~0x08, true);
+            outView.setUint32(offset + 14, entry.crc, true);
+            outView.setUint32(offset + 18, entry.compressedSize, true);
+            outView.setUint32(offset + 22, entry.size, true);
+            offset += part.headerLength + entry.compressedSize;
+        }
+        const centralOffset = offset;
+        for (const part of parts) {
+            const entry = part.entry;
+            out.set(data.subarray(entry.centralOffset, entry.centralOffset + entry.centralLength), offset);
+            outView.setUint16(offset + 8, outView.getUint16(offset + 8, true) & ~0x08, true);
+            outView.setUint32(offset + 42, part.offset, true);
+            offset += entry.centralLength;
+        }
+        outView.setUint32(offset, 0x06054b50, true);
+        outView.setUint16(offset + 8, parts.length, true);
+        outView.setUint16(offset + 10, parts.length, true);
+        outView.setUint32(offset + 12, offset - centralOffset, true);
+        outView.setUint32(offset + 16, centralOffset, true);
+        return out;
     }
 
     /**
      * Retrieves the appropriate worker script for the specified compression method.
      *
-     * @param {string} method - The compression method ('7z', 'zip', or 'rar')
+     * @param {string} method - The compression method ('7z', 'zip', 'rar', 'xz' or 'zstd')
      * @returns {Promise<Blob>} Promise that resolves to a Blob containing the worker script
      *
      * @description
      * Downloads the necessary worker script and WASM files for the specified compression
      * method. For RAR files, also downloads the libunrar.wasm file and creates a custom
-     * worker script with the WASM binary embedded.
-     *
-     * @throws {Error} When network errors occur during file downloads
-     */
-    getWorkerFile(method) {
-        return new Promise(async (resolve, reject) => {
-            let path, obj;
-            if (method === "7z") {
-                path = "compression/extract7z.js";
-                obj = "sevenZip";
-            } else if (method === "zip") {
-                path = "compression/extractzip.js";
-                obj = "zip";
-            } else if (method === "rar") {
-                path = "compression/libunrar.js";
-                obj = "rar";
-            }
-            const res = await this.EJS.downloadFile(path, null, false, { responseType: "text", method: "GET" });
-            if (res === -1) {
+     * worker script with the WASM binary embedded. For xz and zstd the decoder library
+     * (see compression/README.md) is wrapped in a worker that posts the whole
+     * decompressed file, or `t: 3` with the error.
+     *
+     * @throws {Error} When the xz or zstd decoder can not be downloaded. For the
+     *   other methods a network error stops the game instead
+     */
+    async getWorkerFile(method) {
+        let path, obj;
+        if (method === "7z") {
+            path = "compression/extract7z.js";
+            obj = "sevenZip";
+        } else if (method === "zip") {
+            path = "compression/extractzip.js";
+            obj = "zip";
+        } else if (method === "rar") {
+            path = "compression/libunrar.js";
+            obj = "rar";
+        } else if (method === "xz") {
+            path = "compression/xz-decompress.js";
+        } else if (method === "zstd") {
+            path = "compression/fzstd.js";
+        }
+        const res = await this.EJS.downloadFile(path, null, false, { responseType: "text", method: "GET" });
+        if (res === -1) {
+            // Without a decoder the file is used as it is, see `decompressStream`
+            if (method === "xz" || method === "zstd") throw new Error("Could not download " + path);
+            this.EJS.startGameError(this.EJS.localization("Network Error"));
+            // Like a failed download, loading stops here
+            return new Promise(() => {});
+        }
+        if (method === "rar") {
+            const res2 = await this.EJS.downloadFile("compression/libunrar.wasm", null, false, { responseType: "arraybuffer", method: "GET" });
+            if (res2 === -1) {
                 this.EJS.startGameError(this.EJS.localization("Network Error"));
-                return;
+                return new Promise(() => {});
             }
-            if (method === "rar") {
-                const res2 = await this.EJS.downloadFile("compression/libunrar.wasm", null, false, { responseType: "arraybuffer", method: "GET" });
-                if (res2 === -1) {
-                    this.EJS.startGameError(this.EJS.localization("Network Error"));
-                    return;
-                }
-                const path = URL.createObjectURL(new Blob([res2.data], { type: "application/wasm" }));
-                let script = `
-                    let dataToPass = [];
-                    Module = {
-                        monitorRunDependencies: function(left) {
-                            if (left == 0) {
-                                setTimeout(function() {
-                                    unrar(dataToPass, null);
-                                }, 100);
-                            }
-                        },
-                        onRuntimeInitialized: function() {},
-                        locateFile: function(file) {
-                            console.log("locateFile");
-                            return "` + path + `";
+            const path = URL.createObjectURL(new Blob([res2.data], { type: "application/wasm" }));
+            let script = `
+                let dataToPass = [];
+                Module = {
+                    monitorRunDependencies: function(left) {
+                        if (left == 0) {
+                            setTimeout(function() {
+                                unrar(dataToPass, null);
+                            }, 100);
                         }
+                    },
+                    onRuntimeInitialized: function() {},
+                    locateFile: function(file) {
+                        console.log("locateFile");
+                        return "` + path + `";
+                    }
+                };
+                ` + res.data + `
+                let unrar = function(data, password) {
+                    let cb = function(fileName, fileSize, progress) {
+                        postMessage({ "t": 4, "current": progress, "total": fileSize, "name": fileName });
                     };
-                    ` + res.data + `
-                    let unrar = function(data, password) {
-                        let cb = function(fileName, fileSize, progress) {
-                            postMessage({ "t": 4, "current": progress, "total": fileSize, "name": fileName });
-                        };
-                        let rarContent = readRARContent(data.map(function(d) {
-                            return {
-                                name: d.name,
-                                content: new Uint8Array(d.content)
-                            }
-                        }), password, cb)
-                        let rec = function(entry) {
-                            if (!entry) return;
-                            if (entry.type === "file") {
-                                postMessage({ "t": 2, "file": entry.fullFileName, "size": entry.fileSize, "data": entry.fileContent });
-                            } else if (entry.type === "dir") {
-                                Object.keys(entry.ls).forEach(function(k) {
-                                    rec(entry.ls[k]);
-                                });
-                            } else {
-                                throw "Unknown type";
-                            }
+                    let rarContent = readRARContent(data.map(function(d) {
+                        return {
+                            name: d.name,
+                            content: new Uint8Array(d.content)
+                        }
+                    }), password, cb)
+                    let rec = function(entry) {
+                        if (!entry) return;
+                        if (entry.type === "file") {
+                            postMessage({ "t": 2, "file": entry.fullFileName, "size": entry.fileSize, "data": entry.fileContent });
+                        } else if (entry.type === "dir") {
+                            Object.keys(entry.ls).forEach(function(k) {
+                                rec(entry.ls[k]);
+                            });
+                        } else {
+                            throw "Unknown type";
                         }
-                        rec(rarContent);
+                    }
+                    rec(rarContent);
+                    postMessage({ "t": 1 });
+                    return rarContent;
+                };
+                onmessage = function(data) {
+                    dataToPass.push({ name: "test.rar", content: data.data });
+                };
+            `;
+            const blob = new Blob([script], {
+                type: "application/javascript"
+            })
+            return blob;
+        } else if (method === "xz" || method === "zstd") {
+            const decode = (method === "xz") ?
+                `new Response(new self["xz-decompress"].XzReadableStream(new Blob([data]).stream())).arrayBuffer().then(function(out) {
+                    return new Uint8Array(out);
+                })` :
+                `fzstd.decompress(data)`;
+            const script = res.data + `
+                onmessage = async function(e) {
+                    try {
+                        const data = new Uint8Array(e.data);
+                        const out = await ` + decode + `;
+                        postMessage({ "t": 2, "file": "!!notCompressedData", "size": out.length, "data": out }, [out.buffer]);
                         postMessage({ "t": 1 });
-                        return rarContent;
-                    };
-                    onmessage = function(data) {
-                        dataToPass.push({ name: "test.rar", content: data.data });
-                    };
-                `;
-                const blob = new Blob([script], {
-                    type: "application/javascript"
-                })
-                resolve(blob);
-            } else {
-                const blob = new Blob([res.data], {
-                    type: "application/javascript"
-                })
-                resolve(blob);
+                    } catch(err) {
+                        postMessage({ "t": 3, "error": String(err) });
+                    }
+                };
+            `;
+            const blob = new Blob([script], {
+                type: "application/javascript"
+            })
+            return blob;
+        } else {
+            const blob = new Blob([res.data], {
+                type: "application/javascript"
+            })
+            return blob;
+        }
+    }
+
+    /**
+     * Returns an idle worker for the method, or starts a new one.
+     *
+     * @param {string} method - See `getWorkerFile`
+     * @returns {Promise<Worker>}
+     *
+     * @description
+     * The worker scripts are downloaded once per instance, so the game, BIOS,
+     * parent and patch files share them. ZIP, xz and zstd workers are kept for
+     * the next archive by `releaseWorker`; the 7Z and RAR workers only run once.
+     */
+    async getWorker(method) {
+        if (this.idleWorkers[method]) {
+            const worker = this.idleWorkers[method];
+            delete this.idleWorkers[method];
+            return worker;
+        }
+        if (!this.workerUrls[method]) {
+            this.workerUrls[method] = this.getWorkerFile(method).then(file => URL.createObjectURL(file));
+        }
+        return new Worker(await this.workerUrls[method]);
+    }
+
+    /**
+     * Keeps a worker that finished its archive for the next one, or stops it.
+     *
+     * @param {string} method - See `getWorkerFile`
+     * @param {Worker} worker
+     */
+    releaseWorker(method, worker) {
+        worker.onmessage = null;
+        worker.onerror = null;
+        if (["zip", "xz", "zstd"].includes(method) && !this.idleWorkers[method]) {
+            this.idleWorkers[method] = worker;
+        } else {
+            worker.terminate();
+        }
+    }
+
+    /**
+     * Stops the idle workers.
+     */
+    terminate() {
+        for (const method in this.idleWorkers) {
+            this.idleWorkers[method].terminate();
+        }
+        this.idleWorkers = {};
+    }
+
+    /**
+     * Calculates the CRC-32 checksum of the given data.
+     *
+     * @param {Uint8Array} data - The data to checksum
+     * @returns {number} The unsigned CRC-32
+     */
+    crc32(data) {
+        if (!EJSCompression.crcTable) {
+            const table = new Uint32Array(256);
+            for (let i = 0; i < 256; i++) {
+                let c = i;
+                for (let j = 0; j < 8; j++) {
+                    c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                table[i] = c >>> 0;
             }
-        })
+            EJSCompression.crcTable = table;
+        }
+        const table = EJSCompression.crcTable;
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Packs files into an uncompressed (stored) ZIP archive.
+     *
+     * @param {Object} files - Object mapping file paths to file data (Uint8Array or string)
+     * @returns {Uint8Array} The ZIP archive
+     *
+     * @description
+     * The archive can be read back with `decompress`. Entries are stored rather than
+     * deflated, as the data written here (save states, SRAM) is usually exported to
+     * be imported again rather than to save space.
+     */
+    createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const entries = [];
+        let size = 22;
+        for (const path in files) {
+            const name = encoder.encode(path);
+            const data = (typeof files[path] === "string") ? encoder.encode(files[path]) : new Uint8Array(files[path]);
+            entries.push({ name: name, data: data, crc: this.crc32(data) });
+            size += 30 + name.length + data.length + 46 + name.length;
+        }
+        const out = new Uint8Array(size);
+        const view = new DataView(out.buffer);
+        let offset = 0;
+        const writeHeader = (entry, central) => {
+            view.setUint32(offset, central ? 0x02014b50 : 0x04034b50, true);
+            offset += 4;
+            if (central) {
+                view.setUint16(offset, 20, true);
+                offset += 2;
+            }
+            view.setUint16(offset, 20, true); // version needed
+            view.setUint16(offset + 2, 0x0800, true); // UTF-8 names
+            view.setUint16(offset + 4, 0, true); // stored
+            view.setUint16(offset + 6, time, true);
+            view.setUint16(offset + 8, date, true);
+            view.setUint32(offset + 10, entry.crc, true);
+            view.setUint32(offset + 14, entry.data.length, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint16(offset + 22, entry.name.length, true);
+            view.setUint16(offset + 24, 0, true);
+            offset += 26;
+            if (central) {
+                // comment length, disk number, attributes, local header offset
+                view.setUint32(offset + 10, entry.offset, true);
+                offset += 14;
+            }
+            out.set(entry.name, offset);
+            offset += entry.name.length;
+        };
+        for (const entry of entries) {
+            entry.offset = offset;
+            writeHeader(entry, false);
+            out.set(entry.data, offset);
+            offset += entry.data.length;
+        }
+        const centralOffset = offset;
+        for (const entry of entries) {
+            writeHeader(entry, true);
+        }
+        view.setUint32(offset, 0x06054b50, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, offset - centralOffset, true);
+        view.setUint32(offset + 16, centralOffset, true);
+        return out;
     }
 
     /**
@@ -166,11 +711,14 @@ class EJSCompression {
      * @param {Uint8Array|ArrayBuffer} data - The compressed data to extract
      * @param {Function} updateMsg - Callback function for progress updates (message, isProgress)
      * @param {Function} fileCbFunc - Callback function called for each extracted file (filename, fileData)
+     * @param {Function} [filter] - Called with each entry name, other entries are dropped as they arrive
+     * @param {Object} [options] - See `decompress`
      * @returns {Promise<Object>} Promise that resolves to an object mapping filenames to file data
      *
      * @description
-     * Creates a web worker to handle the decompression process asynchronously.
+     * Runs the extraction in a web worker (see `getWorker`).
      * The worker communicates progress updates and extracted files back to the main thread.
+     * On abort the worker is stopped.
      *
      * @example
      * // Message types from worker:
@@ -178,35 +726,49 @@ class EJSCompression {
      * // t: 2 - File extracted (file, size, data)
      * // t: 1 - Extraction complete
      */
-    decompressFile(method, data, updateMsg, fileCbFunc) {
-        return new Promise(async callback => {
-            const file = await this.getWorkerFile(method);
-            const worker = new Worker(URL.createObjectURL(file));
-            const files = {};
+    decompressFile(method, data, updateMsg, fileCbFunc, filter, options) {
+        options = options || {};
+        const signal = options.signal;
+        let total = null;
+        if (method === "zip") {
+            // The worker only reports progress per file, the directory has the sizes
+            const entries = this.readZipDirectory(data);
+            if (entries) {
+                total = entries.filter(entry => typeof filter !== "function" || filter(entry.name)).reduce((size, entry) => size + entry.size, 0);
+            }
+        }
+        const output = this.createOutput(updateMsg, fileCbFunc, options, total);
+        return this.getWorker(method).then(worker => new Promise((callback, reject) => {
+            const onAbort = () => {
+                worker.terminate();
+                reject(signal.reason || new DOMException("Decompression aborted", "AbortError"));
+            };
+            if (signal) {
+                if (signal.aborted) return onAbort();
+                signal.addEventListener("abort", onAbort, { once: true });
+            }
             worker.onmessage = (data) => {
                 if (!data.data) return;
                 //data.data.t/ 4=progress, 2 is file, 1 is zip done
-                if (data.data.t === 4) {
+                if (data.data.t === 4 && output.total === null) {
                     const pg = data.data;
                     const num = Math.floor(pg.current / pg.total * 100);
                     if (isNaN(num)) return;
                     const progress = " " + num.toString() + "%";
-                    updateMsg(progress, true);
+                    if (typeof updateMsg === "function") updateMsg(progress, true);
                 }
                 if (data.data.t === 2) {
-                    if (typeof fileCbFunc === "function") {
-                        fileCbFunc(data.data.file, data.data.data);
-                        files[data.data.file] = true;
-                    } else {
-                        files[data.data.file] = data.data.data;
-                    }
+                    if (typeof filter === "function" && !filter(data.data.file)) return;
+                    output.add(data.data.file, data.data.data);
                 }
                 if (data.data.t === 1) {
-                    callback(files);
+                    if (signal) signal.removeEventListener("abort", onAbort);
+                    this.releaseWorker(method, worker);
+                    output.finish().then(callback, reject);
                 }
             }
             worker.postMessage(data);
-        });
+        }));
     }
 }
 
@@ -174,8 +174,11 @@ class EmulatorJS {
           } catch (e) {}
           cb({
             data: data,
+            status: xhr.status,
             headers: {
               "content-length": xhr.getResponseHeader("content-length"),
+              etag: xhr.getResponseHeader("etag"),
+              "last-modified": xhr.getResponseHeader("last-modified"),
             },
           });
         }
@@ -183,9 +186,91 @@ class EmulatorJS {
       if (opts.responseType) xhr.responseType = opts.responseType;
       xhr.onerror = () => cb(-1);
       xhr.open(opts.method, path, true);
+      if (opts.headers) {
+        for (const k in opts.headers) xhr.setRequestHeader(k, opts.headers[k]);
+      }
       xhr.send();
     });
   }
+  /**
+   * Registers the offline service worker (data/sw.js, see there), versioned by
+   * `ejs_version`, and precaches `urls` with it.
+   *
+   * The worker has to control the page, so it is registered for the page's
+   * folder (or `EJS_serviceWorkerScope`). Browsers only allow that for a
+   * script in another folder when it is served with a `Service-Worker-Allowed`
+   * header covering the scope; without it the registration fails with a
+   * warning and the player works online only.
+   */
+  registerServiceWorker(urls) {
+    if (!window.isSecureContext || !("serviceWorker" in navigator)) return;
+    const script = new URL(
+      typeof this.config.serviceWorker === "string"
+        ? this.config.serviceWorker
+        : this.config.dataPath + "sw.js",
+      window.location.href
+    );
+    script.searchParams.set("v", this.ejs_version);
+    script.searchParams.set(
+      "data",
+      new URL(this.config.dataPath, window.location.href).href
+    );
+    const scope = new URL(
+      typeof this.config.serviceWorkerScope === "string"
+        ? this.config.serviceWorkerScope
+        : "./",
+      window.location.href
+    ).href;
+    this.serviceWorker = navigator.serviceWorker
+      .register(script.href, { scope: scope })
+      .then((registration) => {
+        if (!window.location.href.startsWith(registration.scope)) {
+          console.warn(
+            "The service worker scope " +
+              registration.scope +
+              " does not cover this page, EmulatorJS will not work offline"
+          );
+        }
+        return registration;
+      })
+      .catch((e) => {
+        console.warn(
+          "Could not register the service worker for " +
+            scope +
+            ". If " +
+            script.pathname +
+            " is not in that folder, serve it with the header `Service-Worker-Allowed: " +
+            new URL(scope).pathname +
+            "` or copy it next to the page and set EJS_serviceWorker to its URL",
+          e
+        );
+        return null;
+      });
+    this.precache(urls);
+  }
+  /**
+   * Asks the service worker to cache files for offline use. Paths are
+   * relative to the data folder.
+   */
+  precache(urls) {
+    if (!this.serviceWorker) return;
+    const base = new URL(this.config.dataPath, window.location.href);
+    urls = urls.map((url) => new URL(url, base).href);
+    this.serviceWorker.then((registration) => {
+      if (!registration) return;
+      const worker =
+        registration.installing || registration.waiting || registration.active;
+      if (!worker) return;
+      const send = () => worker.postMessage({ type: "precache", urls: urls });
+      if (worker.state === "activated") {
+        send();
+        return;
+      }
+      worker.addEventListener("statechange", () => {
+        if (worker.state === "activated") send();
+      });
+    });
+  }
   toData(data, rv) {
     if (
       !(data instanceof ArrayBuffer) &&
@@ -688,8 +773,32 @@ class EmulatorJS {
         core: new window.EJS_STORAGE("EmulatorJS-core", "core"),
       };
     }
+    this.cache = new window.EJS_CacheManager(this);
     // This is not cache. This is save data
     this.storage.states = new window.EJS_STORAGE("EmulatorJS-states", "states");
+    this.stateManager = new window.EJS_StateManager(this);
+    this.saveHistory = new window.EJS_SaveHistory(this);
+    this.saveConverter = new window.EJS_SaveConverter(this);
+    this.romHasher = new window.EJS_RomHasher(this);
+    this.romPatcher = new window.EJS_RomPatcher(this);
+    this.biosManager = new window.EJS_BiosManager(this);
+    this.arcadeSets = new window.EJS_ArcadeSets(this);
+    this.downloader = new window.EJS_ChunkedDownloader(this);
+    this.on("exit", () => {
+      this.cancelDecompression();
+      if (this.compression) this.compression.terminate();
+    });
+    if (this.config.syncProvider) {
+      this.sync = new window.EJS_SyncManager(this, this.config.syncProvider);
+    } else if (typeof this.config.syncUrl === "string") {
+      this.sync = new window.EJS_SyncManager(
+        this,
+        new window.EJS_RESTSyncProvider(this.config.syncUrl, {
+          headers: this.config.syncHeaders,
+          credentials: this.config.syncCredentials,
+        })
+      );
+    }
 
     this.game.classList.add("ejs_game");
     if (typeof this.config.backgroundImg === "string") {
@@ -894,11 +1003,40 @@ class EmulatorJS {
     this.addEventListener(button, "click", this.startButtonClicked.bind(this));
     if (this.config.startOnLoad === true) {
       this.startButtonClicked(button);
+    } else {
+      this.createResumeButton(button);
     }
     setTimeout(() => {
       this.callEvent("ready");
     }, 20);
   }
+  /**
+   * Turns the start button into a "Resume" button, with a "Start fresh" button
+   * below it, when there is a resume state for this game.
+   */
+  async createResumeButton(button) {
+    const record = await this.stateManager.getResume();
+    if (!record || !button.parentElement) return;
+    this.resumeOnStart = true;
+    button.innerText = this.localization("Resume");
+    const fresh = this.createElement("div");
+    fresh.classList.add("ejs_start_button");
+    fresh.classList.add("ejs_start_button_secondary");
+    if (button.classList.contains("ejs_start_button_border")) {
+      fresh.classList.add("ejs_start_button_border");
+    }
+    fresh.style.bottom = button.style.bottom;
+    fresh.innerText = this.localization("Start fresh");
+    this.elements.parent.appendChild(fresh);
+    this.on("start-clicked", () => {
+      fresh.remove();
+    });
+    this.addEventListener(fresh, "click", (e) => {
+      e.preventDefault();
+      this.resumeOnStart = false;
+      this.startButtonClicked(button);
+    });
+  }
   startButtonClicked(e) {
     this.callEvent("start-clicked");
     if (e.pointerType === "touch") {
@@ -939,20 +1077,178 @@ class EmulatorJS {
     }
     return text;
   }
-  checkCompression(data, msg, fileCbFunc) {
+  checkCompression(data, msg, fileCbFunc, filter) {
     if (!this.compression) {
       this.compression = new window.EJS_COMPRESSION(this);
     }
+    if (!this.decompressController) {
+      this.decompressController = new AbortController();
+    }
+    const signal = this.decompressController.signal;
     if (msg) {
       this.textElem.innerText = msg;
     }
-    return this.compression.decompress(
-      data,
-      (m, appendMsg) => {
-        this.textElem.innerText = appendMsg ? msg + m : m;
-      },
-      fileCbFunc
+    return this.compression
+      .decompress(
+        data,
+        (m, appendMsg) => {
+          this.textElem.innerText = appendMsg ? msg + m : m;
+        },
+        fileCbFunc,
+        filter,
+        {
+          signal: signal,
+          onProgress: (progress) =>
+            this.callEvent("decompressProgress", progress),
+        }
+      )
+      .catch((e) => {
+        if (signal.aborted) {
+          console.warn("Decompression cancelled", e);
+        } else {
+          console.warn("Could not decompress", e);
+          this.startGameError(this.localization("Failed to decompress"));
+        }
+        throw e;
+      });
+  }
+  /**
+   * Stops the running extractions, e.g. when the page is left while loading.
+   */
+  cancelDecompression() {
+    if (this.decompressController) this.decompressController.abort();
+    this.decompressController = null;
+  }
+  /**
+   * Picks the entries of a ZIP archive the game needs, so the rest is never
+   * extracted: the entry named like `EJS_gameName` or else the best one by
+   * extension (the same order `downloadRom` uses), plus the files it refers to
+   * (tracks of a `.cue`, `.gdi` or `.toc`, discs of a `.m3u`, the `.img` and
+   * `.sub` of a `.ccd`). Without a playlist every disc of the same type is kept,
+   * as they may be the discs of one game, and without a descriptor every file
+   * of the same type (the tracks of a game without a `.cue`). Companions no
+   * descriptor lists (`.sbi`, `.sub`, MSU-1 `.msu` and `-1.pcm`) are kept when
+   * they have the base name of a picked file.
+   *
+   * @param {Uint8Array} data - The downloaded game file
+   * @returns {Promise<Function|null>} A filter for `decompress`, null to extract everything
+   */
+  async selectRomEntries(data) {
+    if (this.getCore(true) === "dos" || !this.extensions) return null;
+    if (!this.compression) {
+      this.compression = new window.EJS_COMPRESSION(this);
+    }
+    const entries = this.compression.listEntries(data);
+    if (!entries) return null;
+    const files = entries.filter((entry) => !entry.name.endsWith("/"));
+    if (files.length < 2) return null;
+    const ext = (name) => name.split(".").pop().toLowerCase();
+    const baseName = (name) =>
+      name
+        .split("/")
+        .pop()
+        .replace(/\.[^.]*$/, "")
+        .toLowerCase();
+    let candidates = files.filter((entry) =>
+      this.extensions.includes(ext(entry.name))
     );
+    if (typeof this.config.gameName === "string") {
+      const named = candidates.filter(
+        (entry) =>
+          baseName(entry.name) === this.config.gameName.trim().toLowerCase()
+      );
+      if (named.length > 0) candidates = named;
+    }
+    const descriptors =
+      this.getCore(true) === "psx"
+        ? ["m3u", "cue", "ccd", "toc", "gdi"]
+        : ["cue", "ccd", "toc", "m3u", "gdi"];
+    const rank = (entry) => {
+      const i = descriptors.indexOf(ext(entry.name));
+      if (i !== -1) return i;
+      if (["iso", "cso", "chd", "elf"].includes(ext(entry.name))) return 10;
+      return 20;
+    };
+    candidates.sort((a, b) => rank(a) - rank(b));
+    const target = candidates[0];
+    if (!target) return null;
+    let wanted = [target];
+    if (ext(target.name) !== "m3u") {
+      // Without a descriptor the name may not tell which files belong together
+      wanted = (rank(target) < 10 ? candidates : files).filter(
+        (entry) => ext(entry.name) === ext(target.name)
+      );
+    }
+
+    // Add what the descriptors refer to, relative to their folder
+    const byName = {};
+    for (const entry of files) byName[entry.name.toLowerCase()] = entry;
+    const selected = new Set();
+    while (wanted.length > 0) {
+      const entry = wanted.shift();
+      if (selected.has(entry.name)) continue;
+      selected.add(entry.name);
+      const type = ext(entry.name);
+      const folder = entry.name.substring(
+        0,
+        entry.name.length - entry.name.split("/").pop().length
+      );
+      let references = [];
+      if (type === "ccd") {
+        const base = entry.name.substring(0, entry.name.length - 3);
+        references = [base + "img", base + "sub"];
+      } else if (["cue", "gdi", "toc", "m3u"].includes(type)) {
+        const extracted = await this.compression.decompress(
+          data,
+          null,
+          null,
+          (name) => name === entry.name
+        );
+        const text = new TextDecoder().decode(extracted[entry.name]);
+        let pattern = /^\s*(?:DATA)?FILE\s+(?:"([^"]+)"|(\S+))/gim;
+        if (type === "gdi") {
+          pattern = /^\s*\d+\s+\d+\s+\d+\s+\d+\s+(?:"([^"]+)"|(\S+))/gm;
+        } else if (type === "m3u") {
+          pattern = /^(?!#)()(\S.*?)\s*$/gm;
+        }
+        let match;
+        while ((match = pattern.exec(text))) {
+          references.push(folder + (match[1] || match[2]));
+        }
+      }
+      for (const reference of references) {
+        const found = byName[reference.replace(/\\/g, "/").toLowerCase()];
+        if (found) wanted.push(found);
+      }
+    }
+    // Companions share the base name; MSU-1 tracks are named "<base>-<n>.pcm"
+    const companions = [
+      "cue",
+      "bin",
+      "ccd",
+      "img",
+      "sub",
+      "sbi",
+      "m3u",
+      "toc",
+      "gdi",
+      "raw",
+      "msu",
+    ];
+    const names = new Set(Array.from(selected, baseName));
+    for (const entry of files) {
+      const name = baseName(entry.name);
+      const type = ext(entry.name);
+      if (
+        (name && companions.includes(type) && names.has(name)) ||
+        (type === "pcm" && names.has(name.replace(/-\d+$/, "")))
+      ) {
+        selected.add(entry.name);
+      }
+    }
+    if (selected.size === files.length) return null;
+    if (this.debug) console.log("Extracting only", Array.from(selected));
+    return (name) => selected.has(name);
   }
   checkCoreCompatibility(version) {
     if (
@@ -966,6 +1262,50 @@ class EmulatorJS {
       );
     }
   }
+  /**
+   * Loads an exported (or RetroArch) state, warning first when its header says
+   * it was made with another core, core version or game file. Plain states
+   * without a header are loaded as-is.
+   */
+  async loadStateFile(data) {
+    let unpacked;
+    try {
+      unpacked = await this.stateManager.importState(data);
+    } catch (e) {
+      console.warn("Could not read state file", e);
+      this.displayMessage(this.localization("FAILED TO LOAD STATE"));
+      return false;
+    }
+    const { info, state } = unpacked;
+    if (info && !(await this.confirmStateInfo(info))) return false;
+    this.gameManager.loadState(state);
+    return true;
+  }
+  /**
+   * @param {Object} info - State info from a state container or slot record
+   * @returns {Promise<boolean>} Whether the state should be loaded
+   */
+  confirmStateInfo(info) {
+    const { fatal, messages } = this.stateManager.checkStateInfo(info);
+    if (messages.length === 0) return Promise.resolve(true);
+    return new Promise((resolve) => {
+      const buttons = {};
+      if (!fatal) {
+        buttons["Load Anyway"] = () => {
+          this.closePopup();
+          resolve(true);
+        };
+      }
+      buttons.Cancel = () => {
+        this.closePopup();
+        resolve(false);
+      };
+      const body = this.createPopup("Incompatible State", buttons);
+      const message = this.createElement("div");
+      message.innerText = messages.join("\n");
+      body.appendChild(message);
+    });
+  }
   startGameError(message) {
     console.log(message);
     if (this.textElem) {
@@ -1011,40 +1351,44 @@ class EmulatorJS {
       this.checkCompression(
         new Uint8Array(data),
         this.localization("Decompress Game Core")
-      ).then((data) => {
-        let js, thread, wasm;
-        for (let k in data) {
-          if (k.endsWith(".wasm")) {
-            wasm = data[k];
-          } else if (k.endsWith(".worker.js")) {
-            thread = data[k];
-          } else if (k.endsWith(".js")) {
-            js = data[k];
-          } else if (k === "build.json") {
-            this.checkCoreCompatibility(
-              JSON.parse(new TextDecoder().decode(data[k]))
-            );
-          } else if (k === "core.json") {
-            let core = JSON.parse(new TextDecoder().decode(data[k]));
-            this.extensions = core.extensions;
-            this.coreName = core.name;
-            this.repository = core.repo;
-            this.defaultCoreOpts = core.options;
-            this.enableMouseLock = core.options.supportsMouse;
-            this.retroarchOpts = core.retroarchOpts;
-            this.saveFileExt = core.save;
-          } else if (k === "license.txt") {
-            this.license = new TextDecoder().decode(data[k]);
+      ).then(
+        (data) => {
+          let js, thread, wasm;
+          for (let k in data) {
+            if (k.endsWith(".wasm")) {
+              wasm = data[k];
+            } else if (k.endsWith(".worker.js")) {
+              thread = data[k];
+            } else if (k.endsWith(".js")) {
+              js = data[k];
+            } else if (k === "build.json") {
+              const build = JSON.parse(new TextDecoder().decode(data[k]));
+              this.coreVersion = build.version;
+              this.checkCoreCompatibility(build);
+            } else if (k === "core.json") {
+              let core = JSON.parse(new TextDecoder().decode(data[k]));
+              this.extensions = core.extensions;
+              this.coreName = core.name;
+              this.repository = core.repo;
+              this.defaultCoreOpts = core.options;
+              this.enableMouseLock = core.options.supportsMouse;
+              this.retroarchOpts = core.retroarchOpts;
+              this.saveFileExt = core.save;
+            } else if (k === "license.txt") {
+              this.license = new TextDecoder().decode(data[k]);
+            }
           }
-        }
 
-        if (this.saveFileExt === false) {
-          this.elements.bottomBar.saveSavFiles[0].style.display = "none";
-          this.elements.bottomBar.loadSavFiles[0].style.display = "none";
-        }
+          if (this.saveFileExt === false) {
+            this.elements.bottomBar.saveSavFiles[0].style.display = "none";
+            this.elements.bottomBar.loadSavFiles[0].style.display = "none";
+          }
 
-        this.initGameCore(js, wasm, thread);
-      });
+          this.initGameCore(js, wasm, thread);
+        },
+        // The error is already shown by checkCompression
+        () => {}
+      );
     };
     const report = "cores/reports/" + this.getCore() + ".json";
     this.downloadFile(report, null, false, {
@@ -1086,13 +1430,16 @@ class EmulatorJS {
       let filename =
         this.getCore() + (threads ? "-thread" : "") + legacy + "-wasm.data";
       if (!this.debug) {
-        const result = await this.storage.core.get(filename);
+        const result = await this.cache
+          .get("core", filename)
+          .catch((e) => this.storageError(e));
         if (result && result.version === rep.buildStart) {
           gotCore(result.data);
           return;
         }
       }
       const corePath = "cores/" + filename;
+      this.precache([report, corePath]);
       let res = await this.downloadFile(
         corePath,
         (progress) => {
@@ -1141,10 +1488,12 @@ class EmulatorJS {
         );
       }
       gotCore(res.data);
-      this.storage.core.put(filename, {
-        version: rep.buildStart,
-        data: res.data,
-      });
+      this.cache
+        .put("core", filename, {
+          version: rep.buildStart,
+          data: res.data,
+        })
+        .catch((e) => this.storageError(e));
     });
   }
   initGameCore(js, wasm, thread) {
@@ -1184,6 +1533,23 @@ class EmulatorJS {
         !this.config.gameUrl.startsWith("blob:"))
     );
   }
+  /**
+   * Reports a rejected storage operation. Storage is only a cache (or a copy of
+   * data that is also in memory), so failures are never fatal; the caller
+   * carries on as if nothing was stored.
+   */
+  storageError(error) {
+    if (
+      error instanceof window.EJS_StorageError &&
+      error.type === window.EJS_StorageError.QUOTA_EXCEEDED
+    ) {
+      console.warn("Browser storage is full", error);
+      this.displayMessage(this.localization("Browser storage is full"));
+    } else {
+      console.warn("Browser storage error", error);
+    }
+    this.callEvent("storageError", error);
+  }
   displayMessage(message, time) {
     if (!this.msgElem) {
       this.msgElem = this.createElement("div");
@@ -1287,14 +1653,25 @@ class EmulatorJS {
         }
         this.on("start", () => {
           setTimeout(() => {
-            this.gameManager.loadState(new Uint8Array(res.data));
+            this.loadStateFile(new Uint8Array(res.data));
           }, 10);
         });
         resolve();
       });
     });
   }
-  downloadGameFile(assetUrl, type, progressMessage, decompressProgressMessage) {
+  /**
+   * Downloads (or reads from the cache) a file that goes next to the game file.
+   * `fileCallback(name, data)` gets every extracted file first, files it
+   * returns `true` for are not written to the FS.
+   */
+  downloadGameFile(
+    assetUrl,
+    type,
+    progressMessage,
+    decompressProgressMessage,
+    fileCallback
+  ) {
     return new Promise(async (resolve, reject) => {
       if (
         (typeof assetUrl !== "string" || !assetUrl.trim()) &&
@@ -1308,46 +1685,50 @@ class EmulatorJS {
           0,
           coreFilename.length - coreFilename.split("/").pop().length
         );
+        const writeFile = (name, fileData) => {
+          if (fileCallback && fileCallback(name, fileData)) return;
+          this.gameManager.FS.writeFile(coreFilePath + name, fileData);
+        };
         if (this.config.dontExtractBIOS === true) {
-          this.gameManager.FS.writeFile(
-            coreFilePath + assetUrl.split("/").pop(),
-            new Uint8Array(input)
-          );
+          writeFile(assetUrl.split("/").pop(), new Uint8Array(input));
           return resolve(assetUrl);
         }
-        const data = await this.checkCompression(
+        // Written as they are extracted, so only one file is in memory at a time
+        await this.checkCompression(
           new Uint8Array(input),
-          decompressProgressMessage
-        );
-        for (const k in data) {
-          if (k === "!!notCompressedData") {
-            this.gameManager.FS.writeFile(
-              coreFilePath +
-                assetUrl.split("/").pop().split("#")[0].split("?")[0],
-              data[k]
-            );
-            break;
+          decompressProgressMessage,
+          (name, fileData) => {
+            if (name === "!!notCompressedData") {
+              writeFile(
+                this.compression.getDecompressedName(
+                  assetUrl.split("/").pop().split("#")[0].split("?")[0]
+                ),
+                fileData
+              );
+            } else if (!name.endsWith("/")) {
+              writeFile(name.split("/").pop(), fileData);
+            }
           }
-          if (k.endsWith("/")) continue;
-          this.gameManager.FS.writeFile(
-            coreFilePath + k.split("/").pop(),
-            data[k]
-          );
-        }
+        );
       };
 
       this.textElem.innerText = progressMessage;
-      if (!this.debug) {
-        const res = await this.downloadFile(assetUrl, null, true, {
-          method: "HEAD",
-        });
-        const result = await this.storage.rom.get(assetUrl.split("/").pop());
+      if (!this.debug && typeof assetUrl === "string") {
+        const name = assetUrl.split("/").pop();
+        const result = await this.cache
+          .get("rom", name)
+          .catch((e) => this.storageError(e));
         if (
           result &&
-          result["content-length"] === res.headers["content-length"] &&
-          result.type === type
+          result.type === type &&
+          (await this.cache.isValid(result, assetUrl, name))
         ) {
-          await gotData(result.data);
+          try {
+            await gotData(result.data);
+          } catch (e) {
+            reject(e);
+            return;
+          }
           return resolve(assetUrl);
         }
       }
@@ -1369,56 +1750,257 @@ class EmulatorJS {
       } else if (this.toData(assetUrl, true)) {
         assetUrl = "game";
       }
-      await gotData(res.data);
+      try {
+        await gotData(res.data);
+      } catch (e) {
+        reject(e);
+        return;
+      }
       resolve(assetUrl);
       const limit =
         typeof this.config.cacheLimit === "number"
           ? this.config.cacheLimit
           : 1073741824;
       if (
-        parseFloat(res.headers["content-length"]) < limit &&
+        res.data.byteLength < limit &&
         this.saveInBrowserSupported() &&
         assetUrl !== "game"
       ) {
-        this.storage.rom.put(assetUrl.split("/").pop(), {
-          "content-length": res.headers["content-length"],
-          data: res.data,
-          type: type,
-        });
+        this.cache
+          .putDownload("rom", assetUrl.split("/").pop(), res, { type: type })
+          .catch((e) => this.storageError(e));
       }
     });
   }
-  downloadGamePatch() {
-    return new Promise(async (resolve) => {
-      this.config.gamePatchUrl = await this.downloadGameFile(
-        this.config.gamePatchUrl,
-        "patch",
-        this.localization("Download Game Patch"),
-        this.localization("Decompress Game Patch")
+  /**
+   * Downloads `EJS_gamePatchUrl` (one URL or an array, applied in order).
+   * IPS, UPS, BPS and xdelta patches are applied to the game file here, other
+   * files are put next to the game file for cores that soft-patch themselves.
+   *
+   * @returns {Promise<boolean>} false if a patch could not be applied, the
+   *   loading stops then with the error shown
+   */
+  async downloadGamePatch() {
+    const urls = [].concat(this.config.gamePatchUrl);
+    const patches = [];
+    // Disc images are made of several files, leave those to the core
+    const canPatch =
+      this.fileName &&
+      !["cue", "ccd", "toc", "m3u"].includes(
+        this.fileName.split(".").pop().toLowerCase()
+      ) &&
+      !["arcade", "mame"].includes(this.getCore(true));
+    const collect = (name, data) => {
+      if (!canPatch || !this.romPatcher.getFormat(data)) return false;
+      patches.push({ name: name, data: data });
+      return true;
+    };
+    const downloaded = [];
+    for (const url of urls) {
+      downloaded.push(
+        await this.downloadGameFile(
+          url,
+          "patch",
+          this.localization("Download Game Patch"),
+          this.localization("Decompress Game Patch"),
+          collect
+        )
       );
-      resolve();
-    });
+    }
+    this.config.gamePatchUrl = Array.isArray(this.config.gamePatchUrl)
+      ? downloaded
+      : downloaded[0];
+    if (patches.length === 0) return true;
+    return await this.applyGamePatches(patches);
   }
-  downloadGameParent() {
-    return new Promise(async (resolve) => {
-      this.config.gameParentUrl = await this.downloadGameFile(
-        this.config.gameParentUrl,
-        "parent",
-        this.localization("Download Game Parent"),
-        this.localization("Decompress Game Parent")
-      );
-      resolve();
-    });
+  /**
+   * Patches the game file in the FS. The result is cached in `storage.rom`
+   * under the CRC32s of the game file and the patches.
+   *
+   * @returns {Promise<boolean>} false if a patch did not apply, after showing why
+   */
+  async applyGamePatches(patches) {
+    const FS = this.gameManager.FS;
+    const rom = FS.readFile(this.fileName);
+    const crc = (data) =>
+      this.romPatcher.crc32(data).toString(16).padStart(8, "0");
+    const key =
+      this.fileName.split("/").pop() +
+      ".patched-" +
+      crc(rom) +
+      "-" +
+      crc(new TextEncoder().encode(patches.map((p) => crc(p.data)).join()));
+    const cached = await this.cache
+      .get("rom", key)
+      .catch((e) => this.storageError(e));
+    if (cached && cached.type === "patched") {
+      FS.writeFile(this.fileName, cached.data);
+      return true;
+    }
+    this.textElem.innerText = this.localization("Patching Game");
+    let data = rom;
+    for (const patch of patches) {
+      try {
+        data = this.romPatcher.apply(data, patch.data);
+      } catch (e) {
+        console.warn("Could not apply " + patch.name, e);
+        if (e.type === window.EJS_PatchError.SOURCE_MISMATCH) {
+          this.startGameError(
+            this.localization("The game file does not match the patch") +
+              "\n" +
+              patch.name
+          );
+        } else {
+          this.startGameError(
+            this.localization("Could not apply the game patch") +
+              "\n" +
+              patch.name
+          );
+        }
+        return false;
+      }
+    }
+    FS.writeFile(this.fileName, data);
+    const limit =
+      typeof this.config.cacheLimit === "number"
+        ? this.config.cacheLimit
+        : 1073741824;
+    if (data.byteLength < limit && this.saveInBrowserSupported()) {
+      this.cache
+        .put("rom", key, {
+          "content-length": data.byteLength,
+          data: data,
+          type: "patched",
+        })
+        .catch((e) => this.storageError(e));
+    }
+    return true;
   }
-  downloadBios() {
-    return new Promise(async (resolve) => {
-      this.config.biosUrl = await this.downloadGameFile(
-        this.config.biosUrl,
-        "bios",
-        this.localization("Download Game BIOS"),
-        this.localization("Decompress Game BIOS")
+  async downloadGameParent() {
+    this.config.gameParentUrl = await this.downloadGameFile(
+      this.config.gameParentUrl,
+      "parent",
+      this.localization("Download Game Parent"),
+      this.localization("Decompress Game Parent")
+    );
+  }
+  /**
+   * Fetches the parent, BIOS and device sets of an arcade game (see
+   * `EJS_ArcadeSets`). Missing sets or files stop the loading with a list of
+   * them, rather than an error from inside the core.
+   *
+   * @returns {Promise<boolean>} false if something the game needs is missing
+   */
+  async downloadRomSets() {
+    if (!this.arcadeSets.isEnabled()) return true;
+    const report = await this.arcadeSets.load();
+    const missing = report.missingSets.map((name) => name + ".zip");
+    for (const name in report.missingFiles) {
+      missing.push(name + ".zip: " + report.missingFiles[name].join(", "));
+    }
+    if (missing.length === 0) return true;
+    console.warn("Missing ROM sets or files", report);
+    this.startGameError(
+      this.localization("Missing ROM files") + ":\n" + missing.join("\n")
+    );
+    return false;
+  }
+  async downloadBios() {
+    this.config.biosUrl = await this.downloadGameFile(
+      this.config.biosUrl,
+      "bios",
+      this.localization("Download Game BIOS"),
+      this.localization("Decompress Game BIOS")
+    );
+    await this.biosManager.restore().catch((e) => this.storageError(e));
+    await this.checkBios().catch((e) =>
+      console.warn("Could not check the BIOS files", e)
+    );
+  }
+  /**
+   * Checks the BIOS files of the core before it boots. While a required BIOS
+   * file is missing the user can pick it from their device (it is kept for the
+   * next time) or start anyway. The report is sent with the `biosChecked` event.
+   */
+  async checkBios() {
+    if (this.biosManager.getGroups().length === 0) return;
+    let report = await this.biosManager.check();
+    if (report.missing.length > 0) {
+      report = await this.promptBios(report);
+    }
+    if (this.debug) {
+      for (const group of report.optional) {
+        console.log("Optional BIOS file not found: " + group.description);
+      }
+    }
+    if (report.mismatched.length > 0) {
+      console.warn(
+        "BIOS files that do not match a known dump: " +
+          report.mismatched.join(", ")
       );
-      resolve();
+      this.displayMessage(
+        this.localization("Unknown BIOS file") +
+          ": " +
+          report.mismatched.join(", "),
+        5000
+      );
+    }
+    this.callEvent("biosChecked", report);
+  }
+  /**
+   * Shows the missing BIOS files with a file picker, until they are all there
+   * or the user starts anyway.
+   *
+   * @returns {Promise<Object>} The last report of `biosManager.check()`
+   */
+  promptBios(report) {
+    return new Promise((resolve) => {
+      const names = (report) =>
+        report.missing
+          .map((group) => group.files.map((file) => file.name).join(" / "))
+          .join(", ");
+      this.textElem.innerText =
+        this.localization("Missing BIOS file") + ": " + names(report);
+      const prompt = this.createElement("div");
+      prompt.classList.add("ejs_bios_prompt");
+      const select = this.createElement("a");
+      select.innerText = this.localization("Select BIOS file");
+      this.addEventListener(select, "click", async (e) => {
+        e.preventDefault();
+        const file = await this.selectFile();
+        if (!file) return;
+        const added = await this.biosManager.add(
+          file.name,
+          new Uint8Array(await file.arrayBuffer())
+        );
+        report = await this.biosManager.check();
+        if (report.missing.length === 0) {
+          prompt.remove();
+          resolve(report);
+          return;
+        }
+        let text =
+          this.localization("Missing BIOS file") + ": " + names(report);
+        if (!added) {
+          text =
+            file.name +
+            ": " +
+            this.localization("Not a BIOS file for this system") +
+            "\n" +
+            text;
+        }
+        this.textElem.innerText = text;
+      });
+      const start = this.createElement("a");
+      start.innerText = this.localization("Start anyway");
+      this.addEventListener(start, "click", (e) => {
+        e.preventDefault();
+        prompt.remove();
+        resolve(report);
+      });
+      prompt.appendChild(select);
+      prompt.appendChild(start);
+      this.elements.parent.appendChild(prompt);
     });
   }
   downloadRom() {
@@ -1428,10 +2010,10 @@ class EmulatorJS {
       return this.extensions.includes(ext);
     };
 
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       this.textElem.innerText = this.localization("Download Game Data");
 
-      const gotGameData = (data) => {
+      const gotGameData = async (data) => {
         const coreName = this.getCore(true);
         const altName = this.getBaseFileName(true);
         if (
@@ -1454,8 +2036,13 @@ class EmulatorJS {
         }
 
         let fileNames = [];
+        const romData = new Uint8Array(data);
+        const filter = await this.selectRomEntries(romData).catch((e) => {
+          console.warn("Could not list the game archive", e);
+          return null;
+        });
         this.checkCompression(
-          new Uint8Array(data),
+          romData,
           this.localization("Decompress Game Data"),
           (fileName, fileData) => {
             if (fileName.includes("/")) {
@@ -1474,13 +2061,15 @@ class EmulatorJS {
               return;
             }
             if (fileName === "!!notCompressedData") {
-              this.gameManager.FS.writeFile(altName, fileData);
-              fileNames.push(altName);
+              const name = this.compression.getDecompressedName(altName);
+              this.gameManager.FS.writeFile(name, fileData);
+              fileNames.push(name);
             } else {
               this.gameManager.FS.writeFile(`/${fileName}`, fileData);
               fileNames.push(fileName);
             }
-          }
+          },
+          filter
         ).then(() => {
           let isoFile = null;
           let supportedFile = null;
@@ -1546,18 +2135,47 @@ class EmulatorJS {
             this.fileName = this.gameManager.writeBootupBatchFile();
           }
           resolve();
-        });
+        }, reject);
       };
       const downloadFile = async () => {
-        const res = await this.downloadFile(
-          this.config.gameUrl,
-          (progress) => {
-            this.textElem.innerText =
-              this.localization("Download Game Data") + progress;
-          },
-          true,
-          { responseType: "arraybuffer", method: "GET" }
-        );
+        let res = null;
+        if (typeof this.config.gameUrl === "string") {
+          // Only shown once there is more than one chunk to download
+          let cancel = null;
+          res = await this.downloader.download(
+            this.config.gameUrl,
+            (progress) => {
+              this.textElem.innerText =
+                this.localization("Download Game Data") + progress;
+              if (cancel) return;
+              cancel = this.createElement("a");
+              cancel.classList.add("ejs_loading_cancel");
+              cancel.innerText = this.localization("Cancel");
+              this.addEventListener(cancel, "click", (e) => {
+                e.preventDefault();
+                this.downloader.cancel();
+              });
+              this.elements.parent.appendChild(cancel);
+            }
+          );
+          if (cancel) cancel.remove();
+          if (res === "cancelled") {
+            this.startGameError(this.localization("Download cancelled"));
+            return;
+          }
+        }
+        if (res === null) {
+          // Not an http(s) URL, or the server does not support Range requests
+          res = await this.downloadFile(
+            this.config.gameUrl,
+            (progress) => {
+              this.textElem.innerText =
+                this.localization("Download Game Data") + progress;
+            },
+            true,
+            { responseType: "arraybuffer", method: "GET" }
+          );
+        }
         if (res === -1) {
           this.startGameError(this.localization("Network Error"));
           return;
@@ -1573,36 +2191,31 @@ class EmulatorJS {
             ? this.config.cacheLimit
             : 1073741824;
         if (
-          parseFloat(res.headers["content-length"]) < limit &&
+          res.data.byteLength < limit &&
           this.saveInBrowserSupported() &&
           this.config.gameUrl !== "game"
         ) {
-          this.storage.rom.put(this.config.gameUrl.split("/").pop(), {
-            "content-length": res.headers["content-length"],
-            data: res.data,
-          });
+          this.cache
+            .putDownload("rom", this.config.gameUrl.split("/").pop(), res)
+            .catch((e) => this.storageError(e));
         }
       };
 
-      if (!this.debug) {
-        this.downloadFile(this.config.gameUrl, null, true, {
-          method: "HEAD",
-        }).then(async (res) => {
-          const name =
-            typeof this.config.gameUrl === "string"
-              ? this.config.gameUrl.split("/").pop()
-              : "game";
-          const result = await this.storage.rom.get(name);
+      if (!this.debug && typeof this.config.gameUrl === "string") {
+        (async () => {
+          const name = this.config.gameUrl.split("/").pop();
+          const result = await this.cache
+            .get("rom", name)
+            .catch((e) => this.storageError(e));
           if (
             result &&
-            result["content-length"] === res.headers["content-length"] &&
-            name !== "game"
+            (await this.cache.isValid(result, this.config.gameUrl, name))
           ) {
             gotGameData(result.data);
             return;
           }
           downloadFile();
-        });
+        })();
       } else {
         downloadFile();
       }
@@ -1618,12 +2231,20 @@ class EmulatorJS {
         await this.gameManager.loadPpssppAssets();
       }
       await this.downloadRom();
+      // Runs in a worker while the rest loads, before patches are applied
+      this.romHasher
+        .hashRom()
+        .catch((e) => console.warn("Could not hash the game file", e));
       await this.downloadBios();
       await this.downloadStartState();
       await this.downloadGameParent();
-      await this.downloadGamePatch();
+      if (!(await this.downloadRomSets())) return;
+      if (!(await this.downloadGamePatch())) return;
       this.startGame();
-    })();
+    })().catch((e) => {
+      // The error is already shown, loading stops here
+      console.warn("Could not load the game", e);
+    });
   }
   initModule(wasmData, threadData) {
     if (typeof window.EJS_Runtime !== "function") {
@@ -2003,6 +2624,11 @@ class EmulatorJS {
       if (!this.started) return;
       this.callEvent("exit");
     });
+    // Not on beforeunload, the player may still choose to stay on the page
+    this.addEventListener(window, "pagehide", (e) => {
+      // Pages kept in the back/forward cache may be shown again
+      if (!e.persisted) this.cancelDecompression();
+    });
     this.addEventListener(this.elements.parent, "dragenter", (e) => {
       e.preventDefault();
       if (!this.started) return;
@@ -2042,7 +2668,7 @@ class EmulatorJS {
       if (!file) return;
       const fileHandle = file.getAsFile();
       fileHandle.arrayBuffer().then((data) => {
-        this.gameManager.loadState(new Uint8Array(data));
+        this.loadStateFile(new Uint8Array(data));
       });
     });
 
@@ -2485,8 +3111,35 @@ class EmulatorJS {
       );
       hideMenu();
     });
+    const exportProfile = addButton("Export Profile", false, () => {
+      hideMenu();
+      this.exportProfile().catch((e) => this.storageError(e));
+    });
+    const importProfile = addButton("Import Profile", false, async () => {
+      hideMenu();
+      const file = await this.selectFile();
+      if (!file) return;
+      file
+        .arrayBuffer()
+        .then((data) => this.importProfile(new Uint8Array(data)))
+        .catch((e) => {
+          if (e instanceof window.EJS_StorageError) {
+            this.storageError(e);
+          } else {
+            console.warn("Could not import the profile", e);
+            this.displayMessage(this.localization("Invalid profile file"));
+          }
+        });
+    });
+    const saveHistory = addButton("Save History", false, () => {
+      hideMenu();
+      this.openSaveHistoryMenu();
+    });
     this.elements.contextMenu = {
       screenshot: screenshot,
+      saveHistory: saveHistory,
+      exportProfile: exportProfile,
+      importProfile: importProfile,
       startScreenRecording: startScreenRecording,
       stopScreenRecording: stopScreenRecording,
       save: qSave,
@@ -2700,8 +3353,10 @@ class EmulatorJS {
     return new Promise((resolve, reject) => {
       const file = this.createElement("input");
       file.type = "file";
-      this.addEventListener(file, "change", (e) => {
-        resolve(e.target.files[0]);
+      // "cancel" fires when the dialog is closed without picking a file
+      const listeners = this.addEventListener(file, "change cancel", (e) => {
+        this.removeEventListener(listeners);
+        resolve(e.type === "change" ? e.target.files[0] || null : null);
       });
       file.click();
     });
@@ -3025,10 +3680,27 @@ class EmulatorJS {
         this.getSettingValue("save-state-location") === "browser" &&
         this.saveInBrowserSupported()
       ) {
-        this.storage.states.put(this.getBaseFileName() + ".state", state);
-        this.displayMessage(this.localization("SAVED STATE TO BROWSER"));
+        const slot = parseInt(this.getSettingValue("save-state-slot") || "1");
+        try {
+          await this.stateManager.saveSlot(slot, state, {
+            screenshot: new Uint8Array(await screenshot.arrayBuffer()),
+            format: format,
+          });
+        } catch (e) {
+          this.storageError(e);
+          this.displayMessage(this.localization("FAILED TO SAVE STATE"));
+          return;
+        }
+        this.displayMessage(
+          this.localization("SAVED STATE TO SLOT") + " " + slot
+        );
       } else {
-        const blob = new Blob([state]);
+        const blob = new Blob([
+          await this.stateManager.pack(state, {
+            screenshot: new Uint8Array(await screenshot.arrayBuffer()),
+            format: format,
+          }),
+        ]);
         stateUrl = URL.createObjectURL(blob);
         const a = this.createElement("a");
         a.href = stateUrl;
@@ -3043,14 +3715,11 @@ class EmulatorJS {
         this.getSettingValue("save-state-location") === "browser" &&
         this.saveInBrowserSupported()
       ) {
-        this.storage.states.get(this.getBaseFileName() + ".state").then((e) => {
-          this.gameManager.loadState(e);
-          this.displayMessage(this.localization("LOADED STATE FROM BROWSER"));
-        });
+        this.openStateMenu();
       } else {
         const file = await this.selectFile();
-        const state = new Uint8Array(await file.arrayBuffer());
-        this.gameManager.loadState(state);
+        if (!file) return;
+        this.loadStateFile(new Uint8Array(await file.arrayBuffer()));
       }
     });
     const controlMenu = addButton(this.config.buttonOpts.gamepad, () => {
@@ -3083,12 +3752,44 @@ class EmulatorJS {
           save: file,
         });
         if (called > 0) return;
-        const blob = new Blob([file]);
-        savUrl = URL.createObjectURL(blob);
-        const a = this.createElement("a");
-        a.href = savUrl;
-        a.download = this.gameManager.getSaveFilePath().split("/").pop();
-        a.click();
+        const download = (data, ext) => {
+          if (savUrl) URL.revokeObjectURL(savUrl);
+          savUrl = URL.createObjectURL(new Blob([data]));
+          const a = this.createElement("a");
+          a.href = savUrl;
+          const name = this.gameManager.getSaveFilePath().split("/").pop();
+          a.download = name.substring(0, name.lastIndexOf(".") + 1) + ext;
+          a.click();
+        };
+        const formats = this.saveConverter.getExportFormats();
+        if (formats.length === 1) {
+          download(file, formats[0].ext);
+          return;
+        }
+        const body = this.createPopup("Export Save", {
+          Close: () => {
+            this.closePopup();
+          },
+        });
+        for (const format of formats) {
+          const button = this.createElement("button");
+          button.classList.add("ejs_button_button");
+          button.classList.add("ejs_popup_submit");
+          button.style.display = "block";
+          button.style.margin = "5px auto";
+          button.innerText =
+            this.localization(format.name) + " (." + format.ext + ")";
+          this.addEventListener(button, "click", () => {
+            const data = this.saveConverter.exportSave(file, format.id);
+            if (!data) {
+              this.displayMessage(this.localization("Nothing to export"));
+              return;
+            }
+            download(data, format.ext);
+            this.closePopup();
+          });
+          body.appendChild(button);
+        }
       }
     );
     const loadSavFiles = addButton(
@@ -3097,19 +3798,13 @@ class EmulatorJS {
         const called = this.callEvent("loadSave");
         if (called > 0) return;
         const file = await this.selectFile();
-        const sav = new Uint8Array(await file.arrayBuffer());
-        const path = this.gameManager.getSaveFilePath();
-        const paths = path.split("/");
-        let cp = "";
-        for (let i = 0; i < paths.length - 1; i++) {
-          if (paths[i] === "") continue;
-          cp += "/" + paths[i];
-          if (!this.gameManager.FS.analyzePath(cp).exists)
-            this.gameManager.FS.mkdir(cp);
-        }
-        if (this.gameManager.FS.analyzePath(path).exists)
-          this.gameManager.FS.unlink(path);
-        this.gameManager.FS.writeFile(path, sav);
+        if (!file) return;
+        const sav = this.saveConverter.importSave(
+          new Uint8Array(await file.arrayBuffer()),
+          file.name,
+          this.gameManager.getSaveFile(false)
+        );
+        this.gameManager.writeSaveFile(sav);
         this.gameManager.loadSaveFiles();
       }
     );
@@ -3561,21 +4256,45 @@ class EmulatorJS {
   }
   openCacheMenu() {
     (async () => {
-      const list = this.createElement("table");
-      const tbody = this.createElement("tbody");
-      const body = this.createPopup("Cache Manager", {
-        "Clear All": async () => {
-          const roms = await this.storage.rom.getSizes();
-          for (const k in roms) {
-            await this.storage.rom.remove(k);
+      const stores = {
+        rom: "ROMs",
+        bios: "BIOS",
+        core: "Cores",
+        states: "Save States",
+      };
+      let rows = [];
+      const deleteRows = async (selected) => {
+        const keys = {};
+        for (const row of selected) {
+          if (!keys[row.store]) keys[row.store] = [];
+          keys[row.store].push(row.key);
+        }
+        try {
+          for (const store in keys) {
+            await this.cache.removeMany(store, keys[store]);
           }
-          tbody.innerHTML = "";
+        } catch (e) {
+          this.storageError(e);
+        }
+        await refresh();
+      };
+      const body = this.createPopup("Cache Manager", {
+        "Delete Selected": () => {
+          deleteRows(rows.filter((row) => row.checkbox.checked));
+        },
+        "Clear All": () => {
+          deleteRows(rows.filter((row) => row.store !== "states"));
         },
         Close: () => {
           this.closePopup();
         },
       });
-      const roms = await this.storage.rom.getSizes();
+      const usage = this.createElement("div");
+      usage.style["padding-left"] = "10px";
+      usage.style["text-align"] = "left";
+      body.appendChild(usage);
+      const list = this.createElement("table");
+      const tbody = this.createElement("tbody");
       list.style.width = "100%";
       list.style["padding-left"] = "10px";
       list.style["text-align"] = "left";
@@ -3591,29 +4310,527 @@ class EmulatorJS {
           [" kB", " MB", " GB", " TB", "PB", "EB", "ZB", "YB"][i]
         );
       };
-      for (const k in roms) {
-        const line = this.createElement("tr");
-        const name = this.createElement("td");
-        const size = this.createElement("td");
-        const remove = this.createElement("td");
-        remove.style.cursor = "pointer";
-        name.innerText = k;
-        size.innerText = getSize(roms[k]);
+      const addCell = (line, content) => {
+        const cell = this.createElement("td");
+        if (typeof content === "string") {
+          cell.innerText = content;
+        } else if (content) {
+          cell.appendChild(content);
+        }
+        line.appendChild(cell);
+        return cell;
+      };
+      const refresh = async () => {
+        rows = [];
+        tbody.innerHTML = "";
+        const estimate = await this.cache.estimate();
+        if (estimate && estimate.quota) {
+          usage.innerText =
+            this.localization("Storage used") +
+            ": " +
+            getSize(estimate.usage || 0) +
+            " / " +
+            getSize(estimate.quota);
+        }
+        for (const store in stores) {
+          const entries = await this.cache
+            .list(store)
+            .catch((e) => this.storageError(e) || []);
+          entries.sort((a, b) => b.lastAccess - a.lastAccess);
+          const total = entries.reduce((sum, entry) => sum + entry.size, 0);
+
+          const header = this.createElement("tr");
+          const selectAll = this.createElement("input");
+          selectAll.type = "checkbox";
+          addCell(header, selectAll);
+          const title = this.createElement("strong");
+          title.innerText =
+            this.localization(stores[store]) + " (" + entries.length + ")";
+          addCell(header, title);
+          addCell(header, getSize(total));
+          addCell(header, this.localization("Last Used"));
+          tbody.appendChild(header);
+
+          const storeRows = [];
+          for (const entry of entries) {
+            const line = this.createElement("tr");
+            const checkbox = this.createElement("input");
+            checkbox.type = "checkbox";
+            addCell(line, checkbox);
+            addCell(line, entry.key);
+            addCell(line, getSize(entry.size));
+            addCell(
+              line,
+              entry.lastAccess
+                ? new Date(entry.lastAccess).toLocaleString()
+                : this.localization("Unknown")
+            );
+            tbody.appendChild(line);
+            storeRows.push({
+              store: store,
+              key: entry.key,
+              checkbox: checkbox,
+            });
+          }
+          this.addEventListener(selectAll, "change", () => {
+            for (const row of storeRows) {
+              row.checkbox.checked = selectAll.checked;
+            }
+          });
+          rows = rows.concat(storeRows);
+        }
+      };
+      await refresh();
+    })();
+  }
+  openStateMenu() {
+    (async () => {
+      const list = this.createElement("div");
+      list.classList.add("ejs_state_list");
+      const body = this.createPopup("Save States", {
+        Close: () => {
+          this.closePopup();
+        },
+      });
+      body.appendChild(list);
+      const manager = this.stateManager;
+      let downloadUrl;
+      const refresh = async () => {
+        const slots = await manager.listSlots();
+        list.innerHTML = "";
+        for (const record of slots) {
+          list.appendChild(createRow(record));
+        }
+      };
+      const addAction = (parent, text, callback) => {
+        const a = this.createElement("a");
+        a.innerText = this.localization(text);
+        this.addEventListener(a, "click", async (e) => {
+          e.preventDefault();
+          await callback();
+        });
+        parent.appendChild(a);
+      };
+      const createRow = (record) => {
+        const row = this.createElement("div");
+        row.classList.add("ejs_state_row");
+        const thumb = this.createElement("div");
+        thumb.classList.add("ejs_state_thumb");
+        if (record.screenshot) {
+          const img = this.createElement("img");
+          const url = URL.createObjectURL(
+            new Blob([record.screenshot], { type: "image/" + record.format })
+          );
+          img.onload = () => URL.revokeObjectURL(url);
+          img.src = url;
+          thumb.appendChild(img);
+        }
+        row.appendChild(thumb);
 
+        const info = this.createElement("div");
+        info.classList.add("ejs_state_info");
+        const title = this.createElement("strong");
+        if (record.auto) {
+          title.innerText = this.localization("Auto Save");
+        } else {
+          title.innerText =
+            record.name ||
+            this.localization(record.quick ? "Quick Save" : "Slot") +
+              " " +
+              record.slot;
+        }
+        info.appendChild(title);
+        const details = this.createElement("div");
+        if (record.empty) {
+          details.innerText = this.localization("Empty");
+        } else {
+          const parts = [];
+          if (record.date) parts.push(new Date(record.date).toLocaleString());
+          if (record.core) parts.push(record.core);
+          if (typeof record.playTime === "number") {
+            parts.push(
+              this.localization("Play time") +
+                " " +
+                manager.formatPlayTime(record.playTime)
+            );
+          }
+          details.innerText = parts.join(" - ");
+        }
+        info.appendChild(details);
+
+        const actions = this.createElement("div");
+        actions.classList.add("ejs_state_actions");
+        if (!record.auto) {
+          addAction(actions, "Save", async () => {
+            let saved = true;
+            if (record.quick) {
+              saved = this.gameManager.quickSave(record.slot);
+            } else {
+              try {
+                await manager.saveSlot(
+                  record.slot,
+                  this.gameManager.getState()
+                );
+              } catch (e) {
+                this.storageError(e);
+                saved = false;
+              }
+            }
+            if (!saved) {
+              this.displayMessage(this.localization("FAILED TO SAVE STATE"));
+              return;
+            }
+            this.displayMessage(
+              this.localization("SAVED STATE TO SLOT") + " " + record.slot
+            );
+            await refresh();
+          });
+        }
+        if (!record.empty) {
+          addAction(actions, "Load", async () => {
+            if (record.auto) {
+              if (!(await manager.loadRecord(record))) return;
+              this.displayMessage(this.localization("LOADED AUTO SAVE"));
+              this.closePopup();
+              return;
+            }
+            if (record.quick) {
+              manager.loadQuickSave(record.slot);
+            } else if (!(await manager.loadSlot(record.slot))) {
+              return;
+            }
+            this.displayMessage(
+              this.localization("LOADED STATE FROM SLOT") + " " + record.slot
+            );
+            this.closePopup();
+          });
+          if (!record.quick && !record.auto) {
+            addAction(actions, "Rename", () => {
+              const input = this.createElement("input");
+              input.type = "text";
+              input.classList.add("ejs_cheat_code");
+              input.value = record.name || "";
+              title.replaceWith(input);
+              input.focus();
+              let committed = false;
+              const commit = async () => {
+                if (committed) return;
+                committed = true;
+                await manager
+                  .renameSlot(record.slot, input.value)
+                  .catch((e) => this.storageError(e));
+                await refresh();
+              };
+              this.addEventListener(input, "keydown", (e) => {
+                e.stopPropagation();
+                if (e.key === "Enter") commit();
+                if (e.key === "Escape") refresh();
+              });
+              this.addEventListener(input, "keyup", (e) => e.stopPropagation());
+              this.addEventListener(input, "blur", commit);
+            });
+          }
+          addAction(actions, "Delete", async () => {
+            if (record.quick) {
+              manager.deleteQuickSave(record.slot);
+            } else if (record.auto) {
+              await manager
+                .deleteAutoState(record.slot)
+                .catch((e) => this.storageError(e));
+            } else {
+              await manager
+                .deleteSlot(record.slot)
+                .catch((e) => this.storageError(e));
+            }
+            await refresh();
+          });
+          addAction(actions, "Download", async () => {
+            if (downloadUrl) URL.revokeObjectURL(downloadUrl);
+            downloadUrl = URL.createObjectURL(
+              new Blob([await manager.pack(record.state, record, record)])
+            );
+            const a = this.createElement("a");
+            a.href = downloadUrl;
+            a.download = manager.getFileName(record);
+            a.click();
+          });
+          addAction(actions, "RetroArch", async () => {
+            if (downloadUrl) URL.revokeObjectURL(downloadUrl);
+            downloadUrl = URL.createObjectURL(
+              new Blob([
+                await manager.exportRetroArch(
+                  await manager.getRecordState(record)
+                ),
+              ])
+            );
+            const a = this.createElement("a");
+            a.href = downloadUrl;
+            a.download = manager.getFileName(record);
+            a.click();
+          });
+        }
+        info.appendChild(actions);
+        row.appendChild(info);
+        return row;
+      };
+      await refresh();
+    })();
+  }
+  openSaveHistoryMenu() {
+    (async () => {
+      const list = this.createElement("div");
+      list.classList.add("ejs_state_list");
+      const body = this.createPopup("Save History", {
+        Close: () => {
+          this.closePopup();
+        },
+      });
+      body.appendChild(list);
+      const history = this.saveHistory;
+      let downloadUrl;
+      const addAction = (parent, text, callback) => {
         const a = this.createElement("a");
-        a.innerText = this.localization("Remove");
-        this.addEventListener(remove, "click", () => {
-          this.storage.rom.remove(k);
-          line.remove();
+        a.innerText = this.localization(text);
+        this.addEventListener(a, "click", async (e) => {
+          e.preventDefault();
+          await callback();
         });
-        remove.appendChild(a);
+        parent.appendChild(a);
+      };
+      const refresh = async () => {
+        const snapshots = await history
+          .list()
+          .catch((e) => this.storageError(e) || []);
+        list.innerHTML = "";
+        if (snapshots.length === 0) {
+          list.innerText = this.localization("No save history yet");
+          return;
+        }
+        for (const snapshot of snapshots) {
+          const row = this.createElement("div");
+          row.classList.add("ejs_state_row");
+          const info = this.createElement("div");
+          info.classList.add("ejs_state_info");
+          const title = this.createElement("strong");
+          title.innerText = new Date(snapshot.date).toLocaleString();
+          info.appendChild(title);
+          const details = this.createElement("div");
+          details.innerText = snapshot.data.byteLength + " bytes";
+          info.appendChild(details);
+
+          const actions = this.createElement("div");
+          actions.classList.add("ejs_state_actions");
+          addAction(actions, "Restore", async () => {
+            try {
+              await history.restore(snapshot);
+            } catch (e) {
+              this.storageError(e);
+              return;
+            }
+            this.displayMessage(this.localization("Save restored"));
+            await refresh();
+          });
+          addAction(actions, "Download", () => {
+            if (downloadUrl) URL.revokeObjectURL(downloadUrl);
+            downloadUrl = URL.createObjectURL(new Blob([snapshot.data]));
+            const a = this.createElement("a");
+            a.href = downloadUrl;
+            a.download = this.gameManager.getSaveFilePath().split("/").pop();
+            a.click();
+          });
+          addAction(actions, "Delete", async () => {
+            await history.remove(snapshot).catch((e) => this.storageError(e));
+            await refresh();
+          });
+          info.appendChild(actions);
+          row.appendChild(info);
+          list.appendChild(row);
+        }
+      };
+      await refresh();
+    })();
+  }
+  /**
+   * Packs everything stored for the current game (settings, controls and
+   * cheats, its save files and browser save states) into a single zip.
+   */
+  async exportProfile() {
+    if (!this.compression) {
+      this.compression = new window.EJS_COMPRESSION(this);
+    }
+    const base = this.getBaseFileName();
+    const files = {};
+    const manifest = {
+      format: "EmulatorJS-profile",
+      version: 1,
+      ejsVersion: this.ejs_version,
+      system: this.getCore(true),
+      core: this.getCore(),
+      game: base,
+      created: new Date().toISOString(),
+      settings: null,
+      saveName: null,
+      saves: [],
+      states: [],
+    };
 
-        line.appendChild(name);
-        line.appendChild(size);
-        line.appendChild(remove);
-        tbody.appendChild(line);
+    const settings =
+      window.localStorage && !this.config.disableLocalStorage
+        ? localStorage.getItem(this.getLocalStorageKey())
+        : null;
+    if (settings) {
+      files["settings.json"] = settings;
+      manifest.settings = "settings.json";
+    }
+
+    // The saves folder is shared by every game, only the files named like
+    // this game's save file are taken
+    this.gameManager.saveSaveFiles();
+    const FS = this.gameManager.FS;
+    const savePath = this.gameManager.getSaveFilePath();
+    const saveDir = savePath.substring(0, savePath.lastIndexOf("/"));
+    manifest.saveName = savePath
+      .split("/")
+      .pop()
+      .replace(/\.[^.]*$/, "");
+    if (FS.analyzePath(saveDir).exists) {
+      for (const name of FS.readdir(saveDir)) {
+        const path = saveDir + "/" + name;
+        if (name.replace(/\.[^.]*$/, "") !== manifest.saveName) continue;
+        if (FS.isDir(FS.stat(path).mode)) continue;
+        files["saves/" + name] = FS.readFile(path);
+        manifest.saves.push("saves/" + name);
+      }
+    }
+
+    const keys = await this.storage.states.getKeys();
+    for (const key of keys) {
+      if (!key.startsWith(base + ".")) continue;
+      const record = await this.storage.states.get(key);
+      if (!record) continue;
+      const suffix = key.substring(base.length);
+      const entry = { suffix: suffix, files: {}, data: {} };
+      if (record instanceof Uint8Array || record instanceof ArrayBuffer) {
+        entry.files.raw = "states/" + key;
+        files[entry.files.raw] = record;
+      } else {
+        for (const k in record) {
+          const value = record[k];
+          if (value instanceof Uint8Array || value instanceof ArrayBuffer) {
+            entry.files[k] = "states/" + key + "." + k;
+            files[entry.files[k]] = value;
+          } else {
+            entry.data[k] = value;
+          }
+        }
       }
-    })();
+      manifest.states.push(entry);
+    }
+
+    files["manifest.json"] = JSON.stringify(manifest, null, 2);
+    const url = URL.createObjectURL(
+      new Blob([this.compression.createZip(files)], {
+        type: "application/zip",
+      })
+    );
+    const a = this.createElement("a");
+    a.href = url;
+    a.download = base + ".ejsprofile.zip";
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+  /**
+   * Restores a zip made by exportProfile() into the current game.
+   *
+   * @param {Uint8Array} data - The zip file
+   * @returns {Promise<boolean>} Whether the profile was imported
+   */
+  async importProfile(data) {
+    if (!this.compression) {
+      this.compression = new window.EJS_COMPRESSION(this);
+    }
+    const files = await this.compression.decompress(data, () => {});
+    let manifest = null;
+    try {
+      manifest = JSON.parse(new TextDecoder().decode(files["manifest.json"]));
+    } catch (e) {}
+    if (!manifest || manifest.format !== "EmulatorJS-profile") {
+      this.displayMessage(this.localization("Invalid profile file"));
+      return false;
+    }
+    if (manifest.system !== this.getCore(true)) {
+      this.displayMessage(
+        this.localization("Profile is for a different system") +
+          " (" +
+          manifest.system +
+          ")"
+      );
+      return false;
+    }
+
+    if (
+      manifest.settings &&
+      files[manifest.settings] &&
+      window.localStorage &&
+      !this.config.disableLocalStorage
+    ) {
+      localStorage.setItem(
+        this.getLocalStorageKey(),
+        new TextDecoder().decode(files[manifest.settings])
+      );
+      this.loadSettings();
+      this.updateCheatUI();
+    }
+
+    // Only the save files of the profile's game, renamed to this game's
+    const savePath = this.gameManager.getSaveFilePath();
+    const saveName = savePath
+      .split("/")
+      .pop()
+      .replace(/\.[^.]*$/, "");
+    let saves = 0;
+    for (const file of manifest.saves) {
+      const name = file.split("/").pop();
+      if (!files[file] || name.replace(/\.[^.]*$/, "") !== manifest.saveName) {
+        continue;
+      }
+      this.gameManager.writeFile(
+        savePath.substring(0, savePath.lastIndexOf("/") + 1) +
+          saveName +
+          name.substring(manifest.saveName.length),
+        files[file]
+      );
+      saves++;
+    }
+    if (saves > 0) {
+      this.gameManager.loadSaveFiles();
+    }
+
+    const base = this.getBaseFileName();
+    const states = [];
+    for (const entry of manifest.states) {
+      let record;
+      if (entry.files.raw) {
+        record = files[entry.files.raw];
+      } else {
+        record = Object.assign({}, entry.data);
+        for (const k in entry.files) {
+          record[k] = files[entry.files[k]];
+        }
+      }
+      if (!record || entry.suffix.includes("/")) continue;
+      states.push({ type: "put", key: base + entry.suffix, data: record });
+    }
+    try {
+      await this.storage.states.batch(states);
+    } catch (e) {
+      this.storageError(e);
+      this.displayMessage(this.localization("Could not import save states"));
+      return false;
+    }
+
+    this.displayMessage(this.localization("Profile imported"));
+    return true;
   }
   getControlScheme() {
     if (
@@ -7059,6 +8276,16 @@ class EmulatorJS {
     ) {
       value = parseInt(value);
       this.startSaveInterval(value * 1000);
+    } else if (option === "save-auto-state-interval") {
+      this.stateManager.startAutoStates(parseInt(value) * 1000);
+    } else if (option === "save-auto-state-depth") {
+      this.stateManager.autoStateDepth = parseInt(value);
+    } else if (option === "persistent-storage") {
+      if (value === "enabled") {
+        this.cache.requestPersistence().then((persisted) => {
+          if (!persisted) console.warn("Persistent storage was not granted");
+        });
+      }
     } else if (option === "menubarBehavior") {
       this.createBottomMenuBarListeners();
     } else if (option === "keyboardInput") {
@@ -8319,6 +9546,28 @@ class EmulatorJS {
         saveStateOpts,
         true
       );
+      addToMenu(
+        this.localization("Resume Where You Left Off"),
+        "save-resume",
+        {
+          enabled: this.localization("Enabled"),
+          disabled: this.localization("Disabled"),
+        },
+        this.config.resume === true ? "enabled" : "disabled",
+        saveStateOpts,
+        true
+      );
+      addToMenu(
+        this.localization("Persistent Storage"),
+        "persistent-storage",
+        {
+          enabled: this.localization("Enabled"),
+          disabled: this.localization("Disabled"),
+        },
+        this.config.persistentStorage === true ? "enabled" : "disabled",
+        saveStateOpts,
+        true
+      );
       if (!this.config.fixedSaveInterval) {
         addToMenu(
           this.localization("System Save interval"),
@@ -8337,6 +9586,29 @@ class EmulatorJS {
           true
         );
       }
+      addToMenu(
+        this.localization("Auto Save State interval"),
+        "save-auto-state-interval",
+        {
+          0: "Disabled",
+          60: "1 minute",
+          300: "5 minutes",
+          600: "10 minutes",
+          900: "15 minutes",
+          1800: "30 minutes",
+        },
+        "0",
+        saveStateOpts,
+        true
+      );
+      addToMenu(
+        this.localization("Auto Save States to keep"),
+        "save-auto-state-depth",
+        ["3", "5", "10", "20"],
+        "10",
+        saveStateOpts,
+        true
+      );
       checkForEmptyMenu(saveStateOpts);
     }
 
@@ -9226,43 +10498,72 @@ class EmulatorJS {
   }
 
   updateCheatUI() {
-    if (!this.cheatsMenu) return;
-
-    const body = this.cheatsMenu.querySelector('.ejs_popup_body');
-    if (!body) return;
-
-    // Clear existing content
-    body.innerHTML = '';
-
-    if (this.cheats.length === 0) {
-      body.innerHTML = '<div style="text-align: center; padding: 20px; color: #666;">No cheats available</div>';
+    if (!this.elements.cheatRows) return;
+    this.elements.cheatRows.innerHTML = "";
+
+    const addToMenu = (cheat, i) => {
+      const row = this.createElement("div");
+      row.classList.add("ejs_cheat_row");
+      const input = this.createElement("input");
+      input.type = "checkbox";
+      input.checked = cheat.checked;
+      input.value = i;
+      input.id = "ejs_cheat_switch_" + i;
+      row.appendChild(input);
+      const label = this.createElement("label");
+      label.htmlFor = "ejs_cheat_switch_" + i;
+      label.innerText = cheat.desc;
+      row.appendChild(label);
+      this.addEventListener(label, "click", (e) => {
+        e.preventDefault();
+        input.checked = !input.checked;
+        cheat.checked = input.checked;
+        this.cheatChanged(input.checked, cheat.code, i);
+        this.saveSettings();
+      });
+      if (!cheat.is_permanent) {
+        const remove = this.createElement("a");
+        remove.classList.add("ejs_cheat_row_button");
+        remove.innerText = "\u00d7";
+        row.appendChild(remove);
+        this.addEventListener(remove, "click", () => {
+          this.cheats.splice(i, 1);
+          this.updateCheatUI();
+          this.saveSettings();
+        });
+        const edit = this.createElement("a");
+        edit.classList.add("ejs_cheat_row_button");
+        edit.style.right = "2rem";
+        edit.innerText = this.localization("Edit");
+        row.appendChild(edit);
+        this.addEventListener(edit, "click", () => {
+          this.openCheatEditor(cheat);
+        });
+      }
+      this.elements.cheatRows.appendChild(row);
+    };
+    for (let i = 0; i < this.cheats.length; i++) {
+      addToMenu(this.cheats[i], i);
+    }
+    this.applyCheats();
+  }
+  cheatChanged(checked, code, index) {
+    if (!this.gameManager) return;
+    if (!checked) {
+      // Cores cannot always undo a single code, so rebuild the active list.
+      this.applyCheats();
       return;
     }
-
-    // Add cheat toggles
-    this.cheats.forEach((cheat, index) => {
-      const cheatDiv = this.createElement('div');
-      cheatDiv.style.marginBottom = '10px';
-
-      const checkbox = this.createElement('input');
-      checkbox.type = 'checkbox';
-      checkbox.id = `cheat_${index}`;
-      checkbox.checked = cheat.checked || false;
-      checkbox.onchange = () => {
-        cheat.checked = checkbox.checked;
-        // TODO: Apply/remove cheat code
-        console.log(`Cheat "${cheat.desc}" ${cheat.checked ? 'enabled' : 'disabled'}`);
-      };
-
-      const label = this.createElement('label');
-      label.htmlFor = `cheat_${index}`;
-      label.textContent = cheat.desc;
-      label.style.marginLeft = '8px';
-
-      cheatDiv.appendChild(checkbox);
-      cheatDiv.appendChild(label);
-      body.appendChild(cheatDiv);
-    });
+    this.gameManager.setCheat(index, 1, code);
+  }
+  applyCheats() {
+    if (!this.gameManager) return;
+    this.gameManager.resetCheat();
+    for (let i = 0; i < this.cheats.length; i++) {
+      if (this.cheats[i].checked) {
+        this.gameManager.setCheat(i, 1, this.cheats[i].code);
+      }
+    }
   }
 
   // Helper method to get room list from SFU server
@@ -10008,10 +11309,200 @@ class EmulatorJS {
   createCheatsMenu() {
     const body = this.createPopup(
       "Cheats",
-      {},
+      {
+        "Add Cheat": () => {
+          this.openCheatEditor();
+        },
+        "Import .cht": async () => {
+          const file = await this.selectFile();
+          if (!file) return;
+          const added = this.importCheats(
+            this.parseCheatFile(await file.text())
+          );
+          this.displayMessage(
+            this.localization("Imported cheats") + ": " + added
+          );
+        },
+        "Export .cht": () => {
+          const blob = new Blob([this.createCheatFile(this.cheats)], {
+            type: "text/plain",
+          });
+          const url = URL.createObjectURL(blob);
+          const a = this.createElement("a");
+          a.href = url;
+          a.download = this.getBaseFileName() + ".cht";
+          a.click();
+          setTimeout(() => URL.revokeObjectURL(url), 1000);
+        },
+        Close: () => {
+          this.cheatMenu.style.display = "none";
+        },
+      },
       true
     );
-    this.cheatsMenu = body.parentElement;
+    this.cheatMenu = body.parentElement;
+    this.cheatMenu.getElementsByTagName("h4")[0].style["padding-bottom"] =
+      "0px";
+    const msg = this.createElement("div");
+    msg.style["padding-top"] = "0px";
+    msg.style["padding-bottom"] = "15px";
+    msg.innerText = this.localization(
+      "Note that some cheats require a restart to disable"
+    );
+    this.cheatMenu.insertBefore(msg, body);
+    const rows = this.createElement("div");
+    body.appendChild(rows);
+    rows.classList.add("ejs_cheat_rows");
+    this.elements.cheatRows = rows;
     this.updateCheatUI();
   }
+  /**
+   * Parses a libretro .cht file.
+   * Quoted values may span several lines; the lines of a code are joined
+   * with "+", which is how the cores expect multi-part codes.
+   */
+  parseCheatFile(text) {
+    const values = {};
+    const regex =
+      /^[ \t]*([A-Za-z0-9_]+)[ \t]*=[ \t]*(?:"([^"]*)"|([^\r\n]*))/gm;
+    let match;
+    while ((match = regex.exec(text)) !== null) {
+      values[match[1].toLowerCase()] =
+        match[2] !== undefined ? match[2] : match[3].trim();
+    }
+    const cheats = [];
+    let count = parseInt(values.cheats);
+    if (isNaN(count)) {
+      count = 0;
+      while (values["cheat" + count + "_code"] !== undefined) count++;
+    }
+    for (let i = 0; i < count; i++) {
+      const code = (values["cheat" + i + "_code"] || "")
+        .split(/\r?\n/)
+        .map((line) => line.trim())
+        .filter((line) => line)
+        .join("+");
+      if (!code) continue;
+      cheats.push({
+        desc: (values["cheat" + i + "_desc"] || "").trim() || code,
+        code: code,
+        checked: values["cheat" + i + "_enable"] === "true",
+      });
+    }
+    return cheats;
+  }
+  createCheatFile(cheats) {
+    const escape = (value) => value.replace(/"/g, "'");
+    let rv = "cheats = " + cheats.length + "\n";
+    cheats.forEach((cheat, i) => {
+      rv += "\n";
+      rv += "cheat" + i + '_desc = "' + escape(cheat.desc) + '"\n';
+      rv += "cheat" + i + '_code = "' + escape(cheat.code) + '"\n';
+      rv += "cheat" + i + "_enable = " + (cheat.checked ? "true" : "false");
+      rv += "\n";
+    });
+    return rv;
+  }
+  importCheats(cheats) {
+    let added = 0;
+    for (const cheat of cheats) {
+      const exists = this.cheats.some(
+        (c) => c.desc === cheat.desc && c.code === cheat.code
+      );
+      if (exists) continue;
+      this.cheats.push(cheat);
+      added++;
+    }
+    if (added > 0) {
+      this.updateCheatUI();
+      this.saveSettings();
+    }
+    return added;
+  }
+  openCheatEditor(cheat) {
+    const popups = this.createSubPopup();
+    this.cheatMenu.appendChild(popups[0]);
+    popups[1].classList.add("ejs_cheat_parent");
+    popups[1].style.width = "100%";
+    const popup = popups[1];
+    const header = this.createElement("div");
+    header.classList.add("ejs_cheat_header");
+    const title = this.createElement("h2");
+    title.innerText = this.localization(
+      cheat ? "Edit Cheat Code" : "Add Cheat Code"
+    );
+    title.classList.add("ejs_cheat_heading");
+    const close = this.createElement("button");
+    close.classList.add("ejs_cheat_close");
+    header.appendChild(title);
+    header.appendChild(close);
+    popup.appendChild(header);
+    this.addEventListener(close, "click", (e) => {
+      popups[0].remove();
+    });
+
+    const main = this.createElement("div");
+    main.classList.add("ejs_cheat_main");
+    const codeHeader = this.createElement("strong");
+    codeHeader.innerText = this.localization("Code");
+    main.appendChild(codeHeader);
+    main.appendChild(this.createElement("br"));
+    const code = this.createElement("textarea");
+    code.classList.add("ejs_cheat_code");
+    code.style.width = "100%";
+    code.style.height = "80px";
+    main.appendChild(code);
+    main.appendChild(this.createElement("br"));
+    const descHeader = this.createElement("strong");
+    descHeader.innerText = this.localization("Description");
+    main.appendChild(descHeader);
+    main.appendChild(this.createElement("br"));
+    const desc = this.createElement("input");
+    desc.type = "text";
+    desc.classList.add("ejs_cheat_code");
+    main.appendChild(desc);
+    main.appendChild(this.createElement("br"));
+    popup.appendChild(main);
+    if (cheat) {
+      code.value = cheat.code;
+      desc.value = cheat.desc;
+    }
+
+    const footer = this.createElement("footer");
+    const submit = this.createElement("button");
+    const closeButton = this.createElement("button");
+    submit.innerText = this.localization("Submit");
+    closeButton.innerText = this.localization("Close");
+    submit.classList.add("ejs_button_button");
+    closeButton.classList.add("ejs_button_button");
+    submit.classList.add("ejs_popup_submit");
+    closeButton.classList.add("ejs_popup_submit");
+    submit.style["background-color"] = "rgba(var(--ejs-primary-color),1)";
+    footer.appendChild(submit);
+    const span = this.createElement("span");
+    span.innerText = " ";
+    footer.appendChild(span);
+    footer.appendChild(closeButton);
+    popup.appendChild(footer);
+
+    this.addEventListener(submit, "click", (e) => {
+      if (!code.value.trim() || !desc.value.trim()) return;
+      popups[0].remove();
+      if (cheat) {
+        cheat.code = code.value;
+        cheat.desc = desc.value;
+      } else {
+        this.cheats.push({
+          code: code.value,
+          desc: desc.value,
+          checked: false,
+        });
+      }
+      this.updateCheatUI();
+      this.saveSettings();
+    });
+    this.addEventListener(closeButton, "click", (e) => {
+      popups[0].remove();
+    });
+  }
 }
@@ -165,20 +165,24 @@ class EmulatorJSAdapter {
    * @returns {{hash: string, size: number, name: string} | null}
    */
   getROMInfo() {
-    // Try to get ROM info from config
     if (this.emulator.config && this.emulator.config.gameUrl) {
-      const gameUrl = this.emulator.config.gameUrl;
-      const gameName = this.emulator.config.gameName || this.emulator.ejs_gameName || "Unknown";
-      
-      // For now, return basic info (hash would need to be computed from ROM data)
-      // This is a placeholder - actual hash computation would require ROM file access
+      const romHash = this.emulator.romHash;
+      const romInfo = this.emulator.romInfo;
+      const gameName =
+        (romInfo && romInfo.name) ||
+        this.emulator.config.gameName ||
+        this.emulator.ejs_gameName ||
+        "Unknown";
+
+      // The hash is computed in a worker after the ROM is loaded (see RomHasher.js),
+      // until then only the name is known
       return {
-        hash: null, // TODO: Compute hash from ROM data if available
-        size: 0,    // TODO: Get actual ROM size
+        hash: romHash ? romHash.sha1 : null,
+        size: romHash ? romHash.size : 0,
         name: gameName,
       };
     }
-    
+
     return null;
   }
 
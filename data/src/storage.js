@@ -1,112 +1,235 @@
+/**
+ * Error thrown (as a promise rejection) by the storage classes.
+ * `type` is one of the `EJS_StorageError.*` constants so callers can react to
+ * specific failures, like the browser running out of quota.
+ */
+class EJS_StorageError extends Error {
+    constructor(type, message, cause) {
+        super(message);
+        this.name = "EJS_StorageError";
+        this.type = type;
+        this.cause = cause;
+    }
+    static from(error, fallback) {
+        if (error instanceof EJS_StorageError) return error;
+        const name = error && error.name;
+        let type = EJS_StorageError.UNKNOWN;
+        if (name === "QuotaExceededError") {
+            type = EJS_StorageError.QUOTA_EXCEEDED;
+        } else if (name === "VersionError") {
+            type = EJS_StorageError.VERSION;
+        } else if (name === "AbortError") {
+            type = EJS_StorageError.ABORTED;
+        } else if (name === "InvalidStateError") {
+            type = EJS_StorageError.CLOSED;
+        } else if (name === "SecurityError") {
+            type = EJS_StorageError.UNSUPPORTED;
+        }
+        return new EJS_StorageError(type, (error && error.message) || fallback, error);
+    }
+}
+EJS_StorageError.UNSUPPORTED = "unsupported";
+EJS_StorageError.QUOTA_EXCEEDED = "quota_exceeded";
+EJS_StorageError.BLOCKED = "blocked";
+EJS_StorageError.VERSION = "version";
+EJS_StorageError.ABORTED = "aborted";
+EJS_StorageError.CLOSED = "closed";
+EJS_StorageError.CONFLICT = "conflict";
+EJS_StorageError.NETWORK = "network";
+EJS_StorageError.UNKNOWN = "unknown";
+
+/**
+ * Key/value store backed by one IndexedDB object store.
+ *
+ * The database connection is opened once and shared by every operation. It is
+ * dropped (and reopened on the next operation) if another tab upgrades the
+ * database or the browser closes it.
+ *
+ * Failed operations reject with an `EJS_StorageError`. Before 4.2.4 they
+ * resolved with `undefined` (or never settled), so code calling `get`, `put`
+ * or `remove` directly has to catch now.
+ */
 class EJS_STORAGE {
     constructor(dbName, storeName) {
         this.dbName = dbName;
         this.storeName = storeName;
+        this.db = null;
     }
-    addFileToDB(key, add) {
-        (async () => {
-            if (key === "?EJS_KEYS!") return;
-            let keys = await this.get("?EJS_KEYS!");
-            if (!keys) keys = [];
-            if (add) {
-                if (!keys.includes(key)) keys.push(key);
-            } else {
-                const index = keys.indexOf(key);
-                if (index !== -1) keys.splice(index, 1);
+    /**
+     * Opens (or returns the already open) database connection.
+     *
+     * @param {number} [version] - Only used internally to add a missing object store
+     * @returns {Promise<IDBDatabase>}
+     */
+    open(version) {
+        if (this.db && !version) return this.db;
+        this.db = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new EJS_StorageError(EJS_StorageError.UNSUPPORTED, "IndexedDB is not available"));
+                return;
+            }
+            let openRequest;
+            try {
+                openRequest = version ? indexedDB.open(this.dbName, version) : indexedDB.open(this.dbName);
+            } catch(e) {
+                reject(EJS_StorageError.from(e, "Could not open " + this.dbName));
+                return;
             }
-            this.put("?EJS_KEYS!", keys);
-        })();
-    }
-    get(key) {
-        return new Promise((resolve, reject) => {
-            if (!window.indexedDB) return resolve();
-            let openRequest = indexedDB.open(this.dbName, 1);
-            openRequest.onerror = () => resolve();
-            openRequest.onsuccess = () => {
-                let db = openRequest.result;
-                let transaction = db.transaction([this.storeName], "readwrite");
-                let objectStore = transaction.objectStore(this.storeName);
-                let request = objectStore.get(key);
-                request.onsuccess = (e) => {
-                    resolve(request.result);
-                };
-                request.onerror = () => resolve();
-            };
             openRequest.onupgradeneeded = () => {
-                let db = openRequest.result;
+                const db = openRequest.result;
                 if (!db.objectStoreNames.contains(this.storeName)) {
                     db.createObjectStore(this.storeName);
-                };
+                }
+            };
+            // The request goes on once the other tabs close their connection,
+            // give up if that does not happen in time.
+            let blocked = null;
+            let gaveUp = false;
+            openRequest.onblocked = () => {
+                if (blocked) return;
+                blocked = setTimeout(() => {
+                    gaveUp = true;
+                    reject(new EJS_StorageError(EJS_StorageError.BLOCKED, "Upgrade of " + this.dbName + " is blocked by another open tab"));
+                }, EJS_STORAGE.BLOCKED_TIMEOUT);
+            };
+            openRequest.onerror = () => {
+                clearTimeout(blocked);
+                reject(EJS_StorageError.from(openRequest.error, "Could not open " + this.dbName));
             };
-        });
-    }
-    put(key, data) {
-        return new Promise((resolve, reject) => {
-            if (!window.indexedDB) return resolve();
-            let openRequest = indexedDB.open(this.dbName, 1);
-            openRequest.onerror = () => {};
             openRequest.onsuccess = () => {
-                let db = openRequest.result;
-                let transaction = db.transaction([this.storeName], "readwrite");
-                let objectStore = transaction.objectStore(this.storeName);
-                let request = objectStore.put(data, key);
-                request.onerror = () => resolve();
-                request.onsuccess = () => {
-                    this.addFileToDB(key, true);
-                    resolve();
+                clearTimeout(blocked);
+                const db = openRequest.result;
+                if (gaveUp) {
+                    db.close();
+                    return;
                 }
-            };
-            openRequest.onupgradeneeded = () => {
-                let db = openRequest.result;
                 if (!db.objectStoreNames.contains(this.storeName)) {
-                    db.createObjectStore(this.storeName);
+                    // The database exists but was created by someone else without our store.
+                    const next = db.version + 1;
+                    db.close();
+                    this.open(next).then(resolve, reject);
+                    return;
+                }
+                db.onversionchange = () => {
+                    db.close();
+                    this.db = null;
                 };
+                db.onclose = () => {
+                    this.db = null;
+                };
+                resolve(db);
             };
-        })
+        });
+        this.db.catch(() => {
+            this.db = null;
+        });
+        return this.db;
     }
-    remove(key) {
+    close() {
+        if (!this.db) return;
+        this.db.then(db => db.close(), () => {});
+        this.db = null;
+    }
+    /**
+     * Runs `callback` inside a single transaction.
+     *
+     * @param {string} mode - "readonly" or "readwrite"
+     * @param {Function} callback - Receives the object store, may return an IDBRequest or a value
+     * @returns {Promise} Resolves with the request result (or returned value) once the transaction completes
+     */
+    async transaction(mode, callback, retried) {
+        const db = await this.open();
+        let transaction;
+        try {
+            transaction = db.transaction([this.storeName], mode);
+        } catch(e) {
+            // The connection was closed under us. Reopen once and try again.
+            if (retried || e.name !== "InvalidStateError") throw EJS_StorageError.from(e);
+            this.db = null;
+            return this.transaction(mode, callback, true);
+        }
         return new Promise((resolve, reject) => {
-            if (!window.indexedDB) return resolve();
-            let openRequest = indexedDB.open(this.dbName, 1);
-            openRequest.onerror = () => {};
-            openRequest.onsuccess = () => {
-                let db = openRequest.result;
-                let transaction = db.transaction([this.storeName], "readwrite");
-                let objectStore = transaction.objectStore(this.storeName);
-                let request2 = objectStore.delete(key);
-                this.addFileToDB(key, false);
-                request2.onsuccess = () => resolve();
-                request2.onerror = () => {};
+            let result;
+            try {
+                result = callback(transaction.objectStore(this.storeName));
+            } catch(e) {
+                // e.g. DataCloneError, nothing of this transaction should be kept
+                transaction.abort();
+                reject(EJS_StorageError.from(e, "Transaction failed"));
+                return;
+            }
+            transaction.oncomplete = () => {
+                resolve((result instanceof IDBRequest) ? result.result : result);
             };
-            openRequest.onupgradeneeded = () => {
-                let db = openRequest.result;
-                if (!db.objectStoreNames.contains(this.storeName)) {
-                    db.createObjectStore(this.storeName);
-                };
+            transaction.onerror = (e) => {
+                e.preventDefault();
+                reject(EJS_StorageError.from(transaction.error || e.target.error, "Transaction failed"));
+            };
+            transaction.onabort = () => {
+                reject(EJS_StorageError.from(transaction.error, "Transaction aborted"));
             };
         });
     }
-    getSizes() {
-        return new Promise(async (resolve, reject) => {
-            if (!window.indexedDB) resolve({});
-            const keys = await this.get("?EJS_KEYS!");
-            if (!keys) return resolve({});
-            let rv = {};
-            for (let i = 0; i < keys.length; i++) {
-                const result = await this.get(keys[i]);
-                if (!result || !result.data || typeof result.data.byteLength !== "number") continue;
-                rv[keys[i]] = result.data.byteLength;
+    get(key) {
+        return this.transaction("readonly", store => store.get(key));
+    }
+    put(key, data) {
+        return this.transaction("readwrite", store => {
+            store.put(data, key);
+        });
+    }
+    remove(key) {
+        return this.transaction("readwrite", store => {
+            store.delete(key);
+        });
+    }
+    /**
+     * Applies several writes in one transaction. Either all of them are stored or none.
+     *
+     * @param {Object[]} operations - `{ type: "put", key, data }` or `{ type: "remove", key }`
+     * @returns {Promise}
+     */
+    batch(operations) {
+        return this.transaction("readwrite", store => {
+            for (const op of operations) {
+                if (op.type === "put") {
+                    store.put(op.data, op.key);
+                } else if (op.type === "remove") {
+                    store.delete(op.key);
+                }
             }
-            resolve(rv);
-        })
+        });
+    }
+    getAll() {
+        return this.transaction("readonly", store => store.getAll());
+    }
+    async getKeys() {
+        const keys = await this.transaction("readonly", store => store.getAllKeys());
+        // "?EJS_KEYS!" was the key index of older versions
+        return keys.filter(key => key !== "?EJS_KEYS!");
+    }
+    getSizes() {
+        return this.transaction("readonly", store => {
+            const rv = {};
+            const request = store.openCursor();
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                const value = cursor.value;
+                if (value && value.data && typeof value.data.byteLength === "number") {
+                    rv[cursor.key] = value.data.byteLength;
+                }
+                cursor.continue();
+            };
+            return rv;
+        });
     }
 }
+// How long (ms) an open waits for other tabs before rejecting with BLOCKED
+EJS_STORAGE.BLOCKED_TIMEOUT = 10000;
 
 class EJS_DUMMYSTORAGE {
     constructor() {}
-    addFileToDB() {
-        return new Promise(resolve => resolve());
-    }
     get() {
         return new Promise(resolve => resolve());
     }
@@ -116,10 +239,21 @@ class EJS_DUMMYSTORAGE {
     remove() {
         return new Promise(resolve => resolve());
     }
+    batch() {
+        return new Promise(resolve => resolve());
+    }
+    close() {}
+    getAll() {
+        return new Promise(resolve => resolve([]));
+    }
+    getKeys() {
+        return new Promise(resolve => resolve([]));
+    }
     getSizes() {
         return new Promise(resolve => resolve({}));
     }
 }
 
+window.EJS_StorageError = EJS_StorageError;
 window.EJS_STORAGE = EJS_STORAGE;
 window.EJS_DUMMYSTORAGE = EJS_DUMMYSTORAGE;
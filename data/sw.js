@@ -0,0 +1,86 @@
+/**
+ * Optional service worker that lets EmulatorJS start without a network
+ * connection after the first visit. It is registered by loader.js when
+ * `EJS_serviceWorker` is set (`true` for this file, or the URL of a copy of it).
+ *
+ * The loader sends the scripts, the CSS and the localization file it loaded,
+ * and the emulator sends the core report and core package it needs; those are
+ * precached. After that every GET request for them, or for anything else in
+ * the data folder, is answered from the cache first and cached when it comes
+ * from the network. Other requests of the page (the page itself, games, the
+ * site's own files) are left to the browser. Games stay in the emulator's
+ * IndexedDB cache.
+ *
+ * The cache is named after `ejs_version` (the `v` parameter of this script's
+ * URL), so a new version installs a new worker and the old cache is dropped.
+ *
+ * A service worker only handles pages inside its scope, so it is registered
+ * for the page's folder (or `EJS_serviceWorkerScope`). Browsers only allow a
+ * scope outside the folder of the script when the script is served with a
+ * `Service-Worker-Allowed` header naming it. If the page is not inside the
+ * data folder, either serve this file with that header (e.g.
+ * `Service-Worker-Allowed: /`) or copy it next to the page and set
+ * `EJS_serviceWorker` to its URL. Otherwise registering fails with a warning
+ * in the console.
+ */
+const params = new URL(self.location.href).searchParams;
+const CACHE_PREFIX = "EmulatorJS-sw-";
+const CACHE_NAME = CACHE_PREFIX + (params.get("v") || "unversioned");
+const DATA_PATH = params.get("data") || new URL("./", self.location.href).href;
+
+// What was precached, for the files outside the data folder (see `EJS_paths`)
+const precached = new Set();
+caches.open(CACHE_NAME).then(async (cache) => {
+    for (const request of await cache.keys()) precached.add(request.url);
+});
+
+self.addEventListener("install", () => {
+    self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+    event.waitUntil((async () => {
+        for (const name of await caches.keys()) {
+            if (name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME) {
+                await caches.delete(name);
+            }
+        }
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener("message", (event) => {
+    if (!event.data || event.data.type !== "precache" || !Array.isArray(event.data.urls)) return;
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        for (const url of event.data.urls) {
+            precached.add(url);
+            try {
+                if (await cache.match(url)) continue;
+                const response = await fetch(url);
+                if (response.ok) await cache.put(url, response);
+            } catch(e) {
+                console.warn("Could not precache " + url, e);
+            }
+        }
+    })());
+});
+
+self.addEventListener("fetch", (event) => {
+    const request = event.request;
+    // Range requests are the chunked game downloader, games are cached in IndexedDB
+    if (request.method !== "GET" || request.headers.has("range")) return;
+    if (!request.url.startsWith(DATA_PATH) && !precached.has(request.url)) return;
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone()).catch((e) => {
+                console.warn("Could not cache " + request.url, e);
+            });
+        }
+        return response;
+    })());
+});
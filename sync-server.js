@@ -0,0 +1,87 @@
+// In-memory stand-in for the REST sync endpoint of EJS_RESTSyncProvider
+// (data/src/SyncManager.js), to try out EJS_syncUrl without a real backend.
+// Items are lost when the server stops.
+//
+// Usage: npm run sync-server -- [--port=8090]
+// then set EJS_syncUrl = "http://localhost:8090/sync";
+import http from 'http';
+
+const args = process.argv.slice(2);
+const portArg = args.find(arg => arg.startsWith('--port='));
+const port = portArg ? parseInt(portArg.split('=')[1]) : 8090;
+const base = '/sync';
+
+const items = new Map();
+let nextRevision = 1;
+
+const send = (res, status, headers, body) => {
+    res.writeHead(status, Object.assign({
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, If-Match, If-None-Match, X-EJS-Modified, Authorization',
+        'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+        'Access-Control-Expose-Headers': 'ETag, X-EJS-Modified'
+    }, headers));
+    res.end(body);
+};
+
+// If-Match / If-None-Match: * against the current revision
+const preconditionFails = (req, item) => {
+    const ifMatch = req.headers['if-match'];
+    const ifNoneMatch = req.headers['if-none-match'];
+    if (ifMatch && (!item || item.revision !== ifMatch)) return true;
+    if (ifNoneMatch === '*' && item) return true;
+    return false;
+};
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (req.method === 'OPTIONS') return send(res, 204, {});
+    if (url.pathname === base || url.pathname === base + '/') {
+        if (req.method !== 'GET') return send(res, 405, {});
+        const prefix = url.searchParams.get('prefix') || '';
+        const list = [];
+        for (const [key, item] of items) {
+            if (key.startsWith(prefix)) list.push({ key: key, revision: item.revision, modified: item.modified });
+        }
+        return send(res, 200, { 'Content-Type': 'application/json' }, JSON.stringify(list));
+    }
+    if (!url.pathname.startsWith(base + '/')) return send(res, 404, {});
+    const key = decodeURIComponent(url.pathname.substring(base.length + 1));
+    const item = items.get(key);
+    if (req.method === 'GET') {
+        if (!item) return send(res, 404, {});
+        return send(res, 200, {
+            'Content-Type': 'application/octet-stream',
+            'ETag': item.revision,
+            'X-EJS-Modified': String(item.modified)
+        }, item.data);
+    }
+    if (req.method === 'PUT') {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            // Re-read: another PUT may have landed while this body arrived
+            const current = items.get(key);
+            if (preconditionFails(req, current)) return send(res, 412, {});
+            const stored = {
+                data: Buffer.concat(chunks),
+                revision: '"' + (nextRevision++) + '"',
+                modified: parseInt(req.headers['x-ejs-modified']) || Date.now()
+            };
+            items.set(key, stored);
+            send(res, current ? 200 : 201, { 'ETag': stored.revision, 'X-EJS-Modified': String(stored.modified) });
+        });
+        return;
+    }
+    if (req.method === 'DELETE') {
+        if (!item) return send(res, 404, {});
+        if (preconditionFails(req, item)) return send(res, 412, {});
+        items.delete(key);
+        return send(res, 204, {});
+    }
+    send(res, 405, {});
+});
+
+server.listen(port, () => {
+    console.log(`Sync stand-in listening on http://localhost:${port}${base}`);
+});
@@ -0,0 +1,73 @@
+// Runs data/src/ChunkedDownloader.js against a local server that answers
+// Range requests, with databases disabled.
+//
+// Usage: npm test
+import http from 'http';
+import test from 'node:test';
+import assert from 'node:assert';
+
+globalThis.window = globalThis;
+window.location = { href: 'http://localhost/' };
+await import('../data/src/storage.js');
+await import('../data/src/ChunkedDownloader.js');
+
+const file = new Uint8Array(2500);
+for (let i = 0; i < file.length; i++) file[i] = i % 251;
+
+const listen = () => new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+        const range = /bytes=(\d+)-(\d+)/.exec(req.headers.range || '');
+        if (!range) {
+            res.writeHead(200, { 'Content-Length': file.length });
+            return res.end(file);
+        }
+        const start = parseInt(range[1]);
+        const end = Math.min(parseInt(range[2]), file.length - 1);
+        res.writeHead(206, {
+            'Content-Range': 'bytes ' + start + '-' + end + '/' + file.length,
+            'ETag': '"1"'
+        });
+        res.end(file.subarray(start, end + 1));
+    });
+    server.listen(0, () => resolve(server));
+});
+
+test('downloads in chunks with databases disabled', async () => {
+    const server = await listen();
+    try {
+        const downloader = new window.EJS_ChunkedDownloader({
+            config: { disableDatabases: true, downloadChunkSize: 1000 }
+        });
+        const progress = [];
+        const res = await downloader.download('http://localhost:' + server.address().port + '/game.bin', text => progress.push(text));
+        assert.notStrictEqual(res, -1);
+        assert.deepStrictEqual(new Uint8Array(res.data), file);
+        assert.strictEqual(res.headers['content-length'], '2500');
+        assert.ok(progress.pop().startsWith(' 100%'));
+    } finally {
+        server.close();
+    }
+});
+
+test('downloads in chunks when storing them fails', async () => {
+    const server = await listen();
+    try {
+        const downloader = new window.EJS_ChunkedDownloader({
+            config: { disableDatabases: true, downloadChunkSize: 1000 }
+        });
+        // Like IndexedDB over quota: the chunks can not be stored or read back
+        downloader.storage = {
+            get: async () => undefined,
+            getKeys: async () => [],
+            batch: async () => {},
+            put: async () => {
+                throw new window.EJS_StorageError(window.EJS_StorageError.QUOTA_EXCEEDED, 'Quota exceeded');
+            }
+        };
+        const res = await downloader.download('http://localhost:' + server.address().port + '/game.bin');
+        assert.notStrictEqual(res, -1);
+        assert.deepStrictEqual(new Uint8Array(res.data), file);
+    } finally {
+        server.close();
+    }
+});